@@ -0,0 +1,43 @@
+/**
+ * A backplane lets several servers share their root keys.  Each server is
+ * the authority for the keys in its own `data` and publishes each change
+ * message it sends for them, while the others keep copies of those keys that
+ * clients can link to just as though they were their own.  Clients can't
+ * make proposals for keys that belong to another server.
+ *
+ * A backplane must provide:
+ *
+ * - `publish(envelope)`, which delivers plain JSON `envelope` to every
+ *   server's subscriber, including the publisher's own.
+ * - `subscribe(handler)`, which has `handler(envelope)` called for each
+ *   envelope published from then on.
+ *
+ * Envelopes from any one server must be delivered in the order they were
+ * published, so a pub/sub channel on a local broker will do.  A server joining
+ * the backplane publishes a `sync` envelope, which the others answer with a
+ * `state` envelope for each of their keys, and then follows along with the
+ * `change` envelopes that carry their messages.
+ */
+module.exports = {
+    /**
+     * Builds a backplane for servers in the same process, mostly for tests.
+     * Envelopes are delivered synchronously, round-tripped through JSON just
+     * as though they'd been put on a wire.
+     */
+    memoryBackplane() {
+        const handlers = [];
+        
+        return {
+            publish(envelope) {
+                const json = JSON.stringify(envelope);
+                handlers.slice().forEach(handler => {
+                    handler(JSON.parse(json));
+                });
+            },
+            
+            subscribe(handler) {
+                handlers.push(handler);
+            }
+        };
+    }
+};
@@ -0,0 +1,417 @@
+const { buildSerialization } = require('./lib/serialization');
+const { describeProposal } = require('./lib/proposals');
+const { applyOp, isOp } = require('./lib/messages');
+
+/**
+ * Builds a client that maintains a local replica of each root key the server
+ * has linked it to.  `transport` must provide `on('message', handler)`, which
+ * delivers messages exactly as the server passed them to its own transport's
+ * `send()`, and `send(message)`, which delivers a message to the server.
+ * `clientType` and `typeDefinitions` add custom types, as for the server,
+ * and must match the server's.
+ */
+module.exports = ({ transport, clientType, typeDefinitions }) => {
+    const serialization = buildSerialization({ clientType, typeDefinitions });
+    const replicas = new Map();
+    const versions = new Map();
+    const resyncsRequested = new Map();
+    const pendingProposals = new Map();
+    
+    // key -> id -> presence state, for everyone else linked to each key.
+    const peers = new Map();
+    let nextProposalId = 1;
+    let session;
+    
+    // 'presence' listeners hear of everyone linked to a key as we link to
+    // it, as a `peers` event whose `peers` is a `Map` like `peers()` returns,
+    // and then of each `join`, `leave` and newly published `presence` state,
+    // along with the `client` id it concerns.
+    const listeners = {
+        change: [],
+        presence: []
+    };
+
+    function requestResync(key) {
+        resyncsRequested.set(key, versions.get(key));
+        transport.send({
+            op: 'resync',
+            key: key,
+            version: versions.get(key)
+        });
+    }
+    
+    function notify(event) {
+        listeners.change.forEach(handler => handler(event));
+    }
+    
+    /**
+     * Brings `peers` up to date with presence message `message` and tells
+     * our presence listeners about it.
+     */
+    function updatePeers(message) {
+        if (message.op === 'peers') {
+            peers.set(message.key, new Map(message.peers.map(
+                    ({ client, state }) => [client, state])));
+        }
+        else if (peers.has(message.key)) {
+            if (message.op === 'leave') {
+                peers.get(message.key).delete(message.client);
+            }
+            else {
+                peers.get(message.key).set(message.client, message.state);
+            }
+        }
+        
+        const event = Object.assign({}, message);
+        if (message.op === 'peers') {
+            event.peers = new Map(peers.get(message.key));
+        }
+        
+        listeners.presence.forEach(handler => handler(event));
+    }
+
+    function settleProposal(id, error) {
+        const pending = pendingProposals.get(id);
+        if (typeof pending === 'undefined') {
+            return;
+        }
+        
+        pendingProposals.delete(id);
+        
+        if (error) {
+            pending.reject(error);
+        }
+        else {
+            pending.resolve();
+        }
+    }
+    
+    function propose(key, op) {
+        const id = nextProposalId++;
+        const message = {
+            op: 'propose',
+            id: id,
+            key: key,
+            proposal: describeProposal(op, serialization)
+        };
+        
+        return new Promise((resolve, reject) => {
+            pendingProposals.set(id, { key, resolve, reject });
+            transport.send(message);
+        });
+    }
+    
+    function abandonProposals(key) {
+        pendingProposals.forEach((pending, id) => {
+            if (pending.key === key) {
+                settleProposal(id, proposalError('unlinked'));
+            }
+        });
+    }
+    
+    transport.on('message', message => {
+        if (message.op === 'session') {
+            session = message.session;
+            return;
+        }
+        
+        if (message.op === 'expired') {
+            // The server has forgotten us.  Nothing we hold will be updated
+            // again.
+            session = undefined;
+            peers.clear();
+            [...replicas.keys()].forEach(key => {
+                abandonProposals(key);
+                replicas.delete(key);
+                versions.delete(key);
+                resyncsRequested.delete(key);
+                notify({ op: 'closed', key: key });
+            });
+            return;
+        }
+        
+        if (message.op === 'ack') {
+            settleProposal(message.id);
+            return;
+        }
+        
+        if (message.op === 'reject') {
+            settleProposal(message.id, proposalError(message.reason));
+            return;
+        }
+        
+        if (['peers', 'join', 'leave', 'presence'].includes(message.op)) {
+            updatePeers(message);
+            return;
+        }
+
+        if (!isOp(message)) {
+            throw new Error('Unknown op: ' + message.op);
+        }
+        
+        if (message.op === 'init') {
+            versions.set(message.key, message.version);
+            resyncsRequested.delete(message.key);
+        }
+        else if (typeof message.version !== 'undefined') {
+            if (!versions.has(message.key)) {
+                // Not linked.
+                return;
+            }
+            
+            const current = versions.get(message.key);
+            if (message.version <= current) {
+                // A duplicate of something we've already applied, probably
+                // in response to a resync.
+                return;
+            }
+            
+            // Messages normally follow on from the one before, but the server
+            // may have skipped some that we aren't allowed to see, in which
+            // case it tells us where this one follows on from.
+            const previous = typeof message.from === 'undefined'
+                    ? message.version - 1 : message.from;
+            
+            if (previous !== current) {
+                // We missed something.  Applying this message would leave
+                // us inconsistent, so drop it and ask to be caught up.  We
+                // only ask once per gap.
+                if (resyncsRequested.get(message.key) !==
+                        versions.get(message.key)) {
+                    requestResync(message.key);
+                }
+                
+                return;
+            }
+            
+            versions.set(message.key, message.version);
+        }
+        
+        if (message.op === 'finalize' || message.op === 'closed') {
+            peers.delete(message.key);
+            versions.delete(message.key);
+            resyncsRequested.delete(message.key);
+            abandonProposals(message.key);
+        }
+        
+        if (message.op === 'batch') {
+            // Everything in a batch happened at once on the server, so we
+            // apply it all before anyone gets to look.
+            notify({
+                op: 'batch',
+                key: message.key,
+                changes: message.messages.map(inner => apply(
+                        Object.assign({ key: message.key }, inner)))
+            });
+        }
+        else {
+            notify(apply(message));
+        }
+    });
+    
+    /**
+     * Applies `message` to our replicas and returns a description of the
+     * change suitable for passing to listeners.
+     */
+    function apply(message) {
+        let value;
+        if (typeof message.value !== 'undefined') {
+            value = serialization.deserialize(message.value);
+        }
+        
+        // Map entry keys, for ops on maps.
+        let entry;
+        if (typeof message.entry !== 'undefined') {
+            entry = serialization.deserialize(message.entry);
+        }
+        
+        applyOp(replicas, message, value, entry);
+        
+        const event = {
+            op: message.op,
+            key: message.key
+        };
+        
+        if (typeof message.path !== 'undefined') {
+            event.path = message.path;
+        }
+        
+        if (typeof message.entry !== 'undefined') {
+            event.entry = entry;
+        }
+        
+        if (typeof message.value !== 'undefined') {
+            event.value = value;
+        }
+        
+        // Details of array ops and text splices.
+        ['index', 'deleteCount', 'moves', 'order'].forEach(field => {
+            if (typeof message[field] !== 'undefined') {
+                event[field] = message[field];
+            }
+        });
+        
+        return event;
+    }
+    
+    return {
+        keys() {
+            return [...replicas.keys()];
+        },
+        
+        get(key) {
+            return replicas.get(key);
+        },
+        
+        has(key) {
+            return replicas.has(key);
+        },
+        
+        /**
+         * Asks the server to link us to root key `key`, or, if `path` is
+         * given, to the subtree at `path` beneath it.  `key` may be a
+         * pattern.  The server answers with an `init` for each key we're
+         * linked to, or with a `denied`.  The server ignores these requests
+         * unless it was built with `allowClientLinks`.
+         *
+         * If declarative query `query` is given (see lib/queries.js), our
+         * replica is instead the array of records it picks out of the
+         * collection at `path`.
+         */
+        link(key, path = [], query) {
+            transport.send({
+                op: 'link',
+                key: key,
+                path: path,
+                query: query
+            });
+        },
+        
+        /**
+         * Asks the server to unlink us from root key `key`, or from every key
+         * we're linked to through pattern `key`.
+         */
+        unlink(key) {
+            transport.send({
+                op: 'unlink',
+                key: key
+            });
+        },
+        
+        /**
+         * Asks the server to bring the replica of `key` up to date, whether
+         * or not we've noticed any missed messages.
+         */
+        resync(key) {
+            if (!versions.has(key)) {
+                throw new Error('Not linked: ' + key);
+            }
+            
+            requestResync(key);
+        },
+        
+        /**
+         * Asks the server to reattach us to the session we were in before our
+         * transport was reconnected, catching up each of our replicas.
+         */
+        resume() {
+            if (typeof session === 'undefined') {
+                throw new Error('No session to resume.');
+            }
+            
+            const lastSeen = {};
+            versions.forEach((version, key) => { lastSeen[key] = version; });
+            
+            transport.send({
+                op: 'resume',
+                session: session,
+                versions: lastSeen
+            });
+        },
+        
+        /**
+         * Asks the server to make a change to root key `key`.  `op` has a
+         * `type` of `set`, `insert` or `delete` along with a `path` and,
+         * except for deletes, a `value`; or it has type `splice` along with
+         * the `path` of an array and the `start`, `deleteCount` and `items`
+         * of the splice; or it has type `edit`, as made by `edit()` below.
+         * Returns a promise that resolves once the server has applied the
+         * change, by which point the change will already have been
+         * reflected in our replica.  If the server refuses, the promise
+         * rejects with an error whose `reason` says why.
+         */
+        propose(key, op) {
+            return propose(key, op);
+        },
+        
+        /**
+         * Proposes an `edit` of the collaborative string or array at `path`
+         * beneath root key `key` (see lib/collaboration.js), removing
+         * `deleteCount` characters or elements at `start` and inserting
+         * `items`, which is a string for strings.  Indices are as our replica
+         * has them now, and the server moves them to account for anything
+         * others did in the meantime.  So that it can, each edit should wait
+         * for the promise of the last to settle.  Otherwise just like
+         * `propose()`, except that the promise can also reject with a
+         * `reason` of `conflict` if the string or array was replaced or
+         * moved.
+         */
+        edit(key, path, start, deleteCount, items) {
+            if (!versions.has(key)) {
+                throw new Error('Not linked: ' + key);
+            }
+            
+            return propose(key, {
+                type: 'edit',
+                path: path,
+                version: versions.get(key),
+                start: start,
+                deleteCount: deleteCount,
+                items: items
+            });
+        },
+        
+        /**
+         * Returns a `Map` from the id of each other client linked to root key
+         * `key` to the presence state it last published, if the server has
+         * presence turned on.  Ids are as the server's transport's `id()`
+         * gives them.
+         */
+        peers(key) {
+            return new Map(peers.get(key));
+        },
+        
+        /**
+         * Publishes `state`, a small JSON value such as a cursor position, to
+         * everyone else linked to root key `key`, replacing whatever we
+         * published before.  Presence state isn't stored, so it's gone once
+         * we unlink or disconnect.  The server quietly drops it if it's too
+         * big or if presence is off.
+         */
+        setPresence(key, state) {
+            if (!versions.has(key)) {
+                throw new Error('Not linked: ' + key);
+            }
+            
+            transport.send({
+                op: 'presence',
+                key: key,
+                state: state
+            });
+        },
+
+        on(eventName, handler) {
+            if (typeof listeners[eventName] === 'undefined') {
+                throw new Error('No such event: ' + eventName);
+            }
+            
+            listeners[eventName].push(handler);
+        }
+    };
+};
+
+function proposalError(reason) {
+    const e = new Error('Proposal rejected: ' + reason);
+    e.reason = reason;
+    return e;
+}
@@ -1,72 +1,689 @@
+const crypto = require('crypto');
 const Observable = require('object-observer');
-const sejr = new (require('@shieldsbetter/sejr'))({
-    clientType: (v, pfn) => {
-        switch (typeof v) {
-            case 'boolean':
-            case 'number':
-            case 'string':
-            case 'object': {
-                return pfn(v);
+const {
+    buildSerialization,
+    serialize,
+    deserialize
+} = require('./lib/serialization');
+const { withPath } = require('./lib/paths');
+const { applyProposal, realizeProposal } = require('./lib/proposals');
+const { compileAccessPolicy } = require('./lib/access');
+const { buildView, viewBatch } = require('./lib/views');
+const { compilePattern, isPattern } = require('./lib/patterns');
+const { batchMessage } = require('./lib/batches');
+const { applyMessage } = require('./lib/messages');
+const { restore } = require('./lib/persistence');
+const { withoutRevoked } = require('./lib/revoked');
+const { arrayShadows, asSplice, movesFor } = require('./lib/arrays');
+const { applyChanges, diff } = require('./lib/diff');
+const { compileQuery } = require('./lib/queries');
+const { isPrimitive } = require('./lib/values');
+const { applyInverse, inverseOf, undoHistory } = require('./lib/undo');
+const { rebaseEdit, textSplice } = require('./lib/collaboration');
+const {
+    admit,
+    nestedCollections,
+    pathTo,
+    trackedCollections,
+    watch
+} = require('./lib/collections');
+const { guarded } = require('./lib/guard');
+
+module.exports = ({
+    transport,
+    historyLimit = 100,
+    resumeTimeout,
+    sessionId = () => crypto.randomBytes(16).toString('hex'),
+    authorize = () => false,
+    validate = () => true,
+    access,
+    projection = () => undefined,
+    rateLimit,
+    maxBacklog,
+    allowClientLinks = false,
+    store,
+    clientType,
+    typeDefinitions,
+    diffReplacements = false,
+    backplane,
+    undoLimit,
+    recorder,
+    collaborative = () => false,
+    maxPresenceSize
+}) => {
+    const serialization = buildSerialization({ clientType, typeDefinitions });
+    
+    // See lib/collections.js.
+    const admitted = value => admit(value, serialization);
+    
+    // Restored data is in place before we start observing, so clients don't
+    // hear about it as a flurry of changes.
+    const data = Observable.from(store
+            ? admitted(restore(store.load(), serialization.deserialize)) : {});
+    
+    // What we hand out, and what proposals are made to (see lib/guard.js).
+    const guardedData = guarded(data, admitted);
+    
+    // Root keys that belong to other servers sharing our backplane, which we
+    // serve from copies.  Our own keys take precedence.
+    const replicated = new Map();
+    const values = {
+        get(key) {
+            if (!Object.prototype.hasOwnProperty.call(data, key) &&
+                    !isReplicated(key)) {
+                // Clients may ask after `constructor` and the like, which
+                // every object has.
+                return undefined;
             }
-            default: {
-                return 'undefined'
+            
+            return typeof data[key] !== 'undefined' || !isReplicated(key)
+                    ? data[key] : replicated.get(key);
+        },
+        
+        keys() {
+            return [...new Set(
+                    Object.keys(data).concat([...replicated.keys()]))];
+        }
+    };
+    
+    function isReplicated(key) {
+        return typeof data[key] === 'undefined' && replicated.has(key);
+    }
+    
+    const subscriberState = new SubscriberState({
+        transport,
+        values,
+        serialization,
+        history: new MessageHistory(historyLimit),
+        sessions: typeof resumeTimeout === 'undefined'
+                ? undefined : new Sessions(resumeTimeout, sessionId),
+        mayAccess: compileAccessPolicy(access),
+        projection,
+        
+        // Messages per second for a given link, or undefined for no limit.
+        rateLimit: typeof rateLimit === 'function'
+                ? rateLimit : () => rateLimit,
+        maxBacklog,
+        recordSent: recorder ? recordSent : undefined,
+        maxPresenceSize
+    });
+    const context = {
+        data: guardedData,
+        values,
+        subscriberState,
+        authorize,
+        validate,
+        allowClientLinks,
+        serialization,
+        collaborative
+    };
+    
+    transport.on('message', (client, message) => {
+        // Clients are not trusted, so we quietly drop anything we don't
+        // understand rather than throwing into the transport.
+        if (Object.prototype.hasOwnProperty.call(inboundOps, message.op)) {
+            inboundOps[message.op](context, client, message);
+        }
+    });
+    
+    // While a transaction is underway, maps each root key to the messages
+    // we're holding back for it.
+    let pending;
+    
+    function flush(key) {
+        const messages = pending.get(key);
+        pending.delete(key);
+        
+        broadcast(key, batchMessage(key, messages));
+    }
+
+    function inTransaction(fn) {
+        if (pending) {
+            // Already in a transaction, which will cover this one.
+            return fn();
+        }
+        
+        pending = new Map();
+        if (undos) {
+            undos.begin();
+        }
+        
+        try {
+            return fn();
+        }
+        finally {
+            [...pending.keys()].forEach(flush);
+            pending = undefined;
+            
+            if (undos) {
+                undos.end();
             }
+            
+            recordSnapshotIfDue();
         }
-    },
-    typeDefinitions: {
-        'undefined': {
-            describe: v => undefined,
-            realize: {
-                fromUndefined: () => {}
+    }
+    
+    // See recorders/file.js.  Snapshots wait for any transaction to finish,
+    // and for whatever is sending the messages for a change to send them to
+    // every client, so that they never show changes that some clients
+    // haven't been sent.
+    let snapshotDue = Boolean(recorder);
+    let snapshotsHeld = 0;
+    
+    function recordSent(client, message) {
+        snapshotDue = recorder.record({
+            type: 'message',
+            time: Date.now(),
+            client: transport.id(client),
+            key: message.key,
+            message: message
+        }) || snapshotDue;
+        
+        recordSnapshotIfDue();
+    }
+    
+    function recordSnapshotIfDue() {
+        if (snapshotDue && !pending && snapshotsHeld === 0) {
+            snapshotDue = false;
+            recorder.record({
+                type: 'snapshot',
+                time: Date.now(),
+                data: serialization.serialize(data)
+            });
+        }
+    }
+    
+    /**
+     * Wraps `fn`, which reacts to changes to `data`, so that no snapshot is
+     * recorded until it has sent every message for them.
+     */
+    function holdingSnapshots(fn) {
+        return (...args) => {
+            snapshotsHeld++;
+            try {
+                return fn(...args);
+            }
+            finally {
+                snapshotsHeld--;
+                recordSnapshotIfDue();
             }
+        };
+    }
+    
+    recordSnapshotIfDue();
+
+    // See lib/undo.js.
+    const undos = typeof undoLimit === 'undefined'
+            ? undefined : undoHistory(undoLimit);
+    
+    function recordUndo(key, inverses) {
+        // Derived keys are undone along with their dependencies.
+        if (undos && !derivations.has(key)) {
+            undos.record(key, inverses,
+                    subscriberState.history.currentVersion(key));
+        }
+    }
+    
+    function applyInverses(inverses) {
+        inTransaction(() => {
+            inverses.forEach(inverse => {
+                applyInverse(data, inverse,
+                        value => admitted(serialization.deserialize(value)));
+            });
+        });
+    }
+    
+    function requireUndos() {
+        if (!undos) {
+            throw new Error('There is no undo history without the ' +
+                    'undoLimit option.');
         }
+        
+        return undos;
     }
-});
 
-module.exports = ({ transport }) => {
-    const data = Observable.from({});
-    const subscriberState = new SubscriberState(transport, data);
+    // Maps each derived root key to its `{ dependencies, fn }`.
+    const derivations = new Map();
     
-    data.observe(changes => changes.forEach(change => {
-        const rootObjectName = change.path[0];
+    function recompute(key) {
+        const { dependencies, fn } = derivations.get(key);
         
-        let message;
-        if (change.type === 'delete' && change.path.length === 1) {
-            // This is a root object deletion.  We treat this specially since we
-            // want to signal to clients that further updates about this root
-            // object key will not be delivered even if the object becomes
-            // re-established later.
+        // Copied so that we never put parts of other keys in this one.
+        const value = admitted(serialization.deserialize(
+                serialization.serialize(fn(...dependencies.map(
+                        dependency => data[dependency])))));
+        
+        if (typeof value === 'undefined') {
+            if (typeof data[key] !== 'undefined') {
+                delete data[key];
+            }
             
-            message = {
-                op: 'finalize',
-                key: rootObjectName
-            };
+            return;
         }
-        else {
-            const changeType = changeTypes[change.type];
-            message = changeType.buildMessage(change, data);
+        
+        inTransaction(() => {
+            applyChanges(data,
+                    diff(data[key], value, serialization.serialize, [key]));
+        });
+    }
+    
+    function recomputeDependents(key) {
+        derivations.forEach(({ dependencies }, derivedKey) => {
+            if (dependencies.includes(key)) {
+                recompute(derivedKey);
+            }
+        });
+    }
+    
+    function dependsOn(key, dependency) {
+        return key === dependency || (derivations.has(key) &&
+                derivations.get(key).dependencies.some(
+                        d => dependsOn(d, dependency)));
+    }
+
+    function watchCollection(key, collection) {
+        watch(collection, holdingSnapshots((collection, mutation, inverse) => {
+            const path = pathTo(data[key], collection);
+            if (typeof path === 'undefined') {
+                // No longer in `data`.
+                return;
+            }
+            
+            const message = collectionMessage(key, path, collection, mutation,
+                    serialization.serialize);
+            recordUndo(key, [{
+                type: 'collection',
+                path: [key].concat(path),
+                mutations: inverse
+            }]);
+            record([message]);
+            publish(message);
+            recomputeDependents(key);
+            watchNested(key, collection);
+        }));
+        watchNested(key, collection);
+    }
+    
+    // Paths can't reach inside a collection, so a change to one held in
+    // `outer` is sent as an update of all of `outer`, which can't be undone.
+    function watchNested(key, outer) {
+        nestedCollections(outer).forEach(nested => {
+            watch(nested, holdingSnapshots(() => {
+                const path = pathTo(data[key], outer);
+                if (typeof path === 'undefined' ||
+                        !nestedCollections(outer).includes(nested)) {
+                    // No longer in `data`, or no longer in `outer`.
+                    return;
+                }
+                
+                const message = {
+                    op: 'update',
+                    key: key,
+                    path: path,
+                    value: serialization.serialize(outer)
+                };
+                recordUndo(key, [undefined]);
+                record([message]);
+                publish(message);
+                recomputeDependents(key);
+                watchNested(key, outer);
+            }));
+        });
+    }
+    
+    function trackCollections(change) {
+        if (change.type !== 'insert' && change.type !== 'update') {
+            return;
+        }
+        
+        const key = change.path[0];
+        
+        // Collections are tracked before they're put in `data`, but need
+        // watching under this key, having perhaps moved from some other.
+        trackedCollections(change.value).forEach(collection => {
+            watchCollection(key, collection);
+        });
+    }
+    
+    Object.keys(data).forEach(key => {
+        trackedCollections(data[key]).forEach(collection => {
+            watchCollection(key, collection);
+        });
+    });
+    
+    const arrays = arrayShadows();
+    arrays.track(data);
+    
+    function record(messages) {
+        if (!store) {
+            return;
+        }
+        
+        let snapshotDue = false;
+        messages.forEach(message => {
+            snapshotDue = store.append(message) || snapshotDue;
+        });
+        
+        // By now `data` reflects every change in the list, so we mustn't
+        // snapshot until they've all been logged.
+        if (snapshotDue) {
+            store.snapshot(serialization.serialize(data));
+        }
+    }
+    
+    data.observe(holdingSnapshots(changes => {
+        changes = rebaseArrayDeletes(changes, data).map(change =>
+                typeof change.value === 'undefined'
+                        ? change
+                        : Object.assign({}, change, {
+                            value: withoutRevoked(change.value,
+                                    withPath(data, change.path))
+                        }));
+        
+        // Each change gets its own group of messages, which only has more
+        // than one message when we've diffed a replacement.
+        const groups = asSplice(changes, data).map(messagesFor);
+        const messages = [].concat(...groups);
+        
+        const inverses = new MapOfLists();
+        changes.forEach(change => {
+            if (undos) {
+                const inverse = inverseOf(
+                        change, data, serialization.serialize, arrays);
+                if (inverse !== null) {
+                    inverses.with(change.path[0]).push(inverse);
+                }
+            }
+            
+            trackCollections(change);
+            arrays.update(change, data);
+        });
+        inverses.keys().forEach(
+                key => { recordUndo(key, inverses.with(key)); });
+        record(messages);
+        groups.forEach(group => {
+            if (group.length > 1) {
+                // Clients mustn't see the replacement half done.
+                inTransaction(() => { group.forEach(publish); });
+            }
+            else {
+                group.forEach(publish);
+            }
+        });
+        new Set(messages.map(m => m.key)).forEach(recomputeDependents);
+    }));
+    
+    function messagesFor(change) {
+        if (isTextEdit(change)) {
+            return [Object.assign({
+                op: 'textSplice',
+                key: change.path[0],
+                path: change.path.slice(1)
+            }, textSplice(change.oldValue, change.value))];
+        }
+        
+        const message = buildMessage(
+                change, data, serialization.serialize, arrays);
+
+        if (!diffReplacements || change.type !== 'update') {
+            return [message];
         }
         
-        subscriberState.sendObjectUpdate(rootObjectName, message);
+        // With `diffReplacements`, an object or array replaced by another is
+        // sent as the changes that turn one into the other, unless those
+        // would take more to send than the new value.
+        const diffed = diff(change.oldValue, change.value,
+                serialization.serialize, change.path).map(c => buildMessage(
+                        c, data, serialization.serialize, arrays));
+        
+        return JSON.stringify(diffed).length < JSON.stringify(message).length
+                ? diffed : [message];
+    }
+    
+    function isTextEdit(change) {
+        return change.type === 'update' &&
+                typeof change.oldValue === 'string' &&
+                typeof change.value === 'string' &&
+                collaborative(change.path[0], change.path.slice(1));
+    }
+    
+    function publish(message) {
+        const rootObjectName = message.key;
+        
+        if (pending && message.op !== 'finalize') {
+            if (!pending.has(rootObjectName)) {
+                pending.set(rootObjectName, []);
+            }
+            
+            pending.get(rootObjectName).push(message);
+        }
+        else {
+            if (pending && pending.has(rootObjectName)) {
+                flush(rootObjectName);
+            }
+            
+            broadcast(rootObjectName, message);
+        }
         
         if (message.op === 'finalize') {
             subscriberState.clearSubscribers(rootObjectName);
+            if (undos) {
+                undos.forget(rootObjectName);
+            }
         }
-    }));
+        else if (message.op === 'insert' && message.path.length === 0) {
+            subscriberState.linkPatternSubscribers(rootObjectName);
+        }
+    }
+    
+    const instanceId = crypto.randomBytes(8).toString('hex');
+    
+    function broadcast(key, message) {
+        subscriberState.sendObjectUpdate(key, message);
+        
+        if (backplane) {
+            backplane.publish({
+                origin: instanceId,
+                op: 'change',
+                message: message
+            });
+        }
+    }
     
+    // See backplanes/memory.js for what we say to the other servers.
+    const backplaneOps = {
+        sync() {
+            Object.keys(data).forEach(key => {
+                backplane.publish({
+                    origin: instanceId,
+                    op: 'state',
+                    key: key,
+                    value: serialization.serialize(data[key])
+                });
+            });
+        },
+        state({ key, value }) {
+            receive({
+                op: isReplicated(key) ? 'update' : 'insert',
+                key: key,
+                path: [],
+                value: value
+            });
+        },
+        change({ message }) {
+            receive(message);
+        }
+    };
+    
+    function receive(message) {
+        const key = message.key;
+        const first = message.op === 'batch' ? message.messages[0] : message;
+        const created = first.op === 'insert' && first.path.length === 0;
+        
+        if (typeof data[key] !== 'undefined' ||
+                (!isReplicated(key) && !created)) {
+            // Either it's ours, or we missed its beginning and will hear the
+            // rest when we sync.
+            return;
+        }
+        
+        applyMessage(replicated, message, serialization.deserialize);
+        subscriberState.sendObjectUpdate(key, message);
+        
+        if (message.op === 'finalize') {
+            subscriberState.clearSubscribers(key);
+        }
+        else if (created) {
+            subscriberState.linkPatternSubscribers(key);
+        }
+    }
+    
+    if (backplane) {
+        backplane.subscribe(envelope => {
+            if (envelope.origin !== instanceId &&
+                    Object.prototype.hasOwnProperty.call(
+                            backplaneOps, envelope.op)) {
+                backplaneOps[envelope.op](envelope);
+            }
+        });
+        
+        backplane.publish({ origin: instanceId, op: 'sync' });
+    }
+
     return {
-        data: data,
+        data: guardedData,
     
-        link(client, key) {
-            if (typeof data[key] === 'undefined') {
+        /**
+         * Links `client` to root key `key`, sending it an `init`, or, if the
+         * access policy doesn't allow it, sending it a `denied`.  If `path` is
+         * given, the client sees only the subtree at that path beneath the
+         * root key.  Linking a client to a key it's already linked to
+         * replaces the old link.  Returns whether or not the client was
+         * linked.
+         *
+         * If `query` is given (see lib/queries.js), the client sees only the
+         * window of records it picks out of the collection at `path`, and is
+         * sent the records that enter, leave or move within that window as
+         * the collection changes.
+         *
+         * If `key` is a pattern (see lib/patterns.js), the client is instead
+         * linked to every root key that matches it and that the access
+         * policy allows, both those that exist now and those created later.
+         * Matching root keys that are later deleted are finalized as usual.
+         */
+        link(client, key, path = [], query) {
+            if (!Array.isArray(path)) {
+                throw new Error('Path must be an array.  Was: ' + path);
+            }
+            
+            if (typeof query !== 'undefined') {
+                compileQuery(query);
+            }
+            
+            if (isPattern(key)) {
+                subscriberState.linkPattern(client, key, path, query);
+                return true;
+            }
+            
+            if (typeof values.get(key) === 'undefined') {
                 throw new Error('No such key: ' + key);
             }
         
-            subscriberState.link(client, key);
+            return subscriberState.link(client, key, path, query);
         },
         
+        /**
+         * Unlinks `client` from root key `key`, or, if `key` is a pattern,
+         * from every root key it was linked to through that pattern.
+         */
         unlink(client, key) {
-            subscriberState.unlink(client, key);
+            if (isPattern(key)) {
+                subscriberState.unlinkPattern(client, key);
+            }
+            else {
+                subscriberState.unlink(client, key);
+            }
+        },
+        
+        /**
+         * Calls `fn`, holding back the messages for any changes it makes to
+         * `data` until it returns.  Each subscriber then gets a single
+         * message for each root key that changed, so it never sees the data
+         * part way through `fn`.  `fn` must make its changes synchronously.
+         * Returns whatever `fn` returns.
+         */
+        transaction(fn) {
+            return inTransaction(fn);
+        },
+        
+        /**
+         * Makes root key `key` a derived key, whose value is whatever `fn`
+         * returns when called with the values of the root keys listed in
+         * `dependencies`, in order.  `fn` is called right away and again
+         * whenever one of those keys changes, and `data[key]` is changed to
+         * match its result field by field, so subscribers get the same
+         * messages they'd get if it had been changed by hand, batched as
+         * though by `transaction()`.  If `fn` returns `undefined`, the key
+         * is deleted.
+         *
+         * `fn` must be synchronous and mustn't change `data`.  Its result is
+         * copied, so it may return parts of its arguments.  Derived keys may
+         * depend on other derived keys, but not on themselves, and shouldn't
+         * otherwise be changed.
+         */
+        derive(key, dependencies, fn) {
+            if (derivations.has(key)) {
+                throw new Error('Already derived: ' + key);
+            }
+            
+            if (dependencies.some(dependency => dependsOn(dependency, key))) {
+                throw new Error('Derived key would depend on itself: ' + key);
+            }
+            
+            derivations.set(key, { dependencies, fn });
+            recompute(key);
+        },
+        
+        /**
+         * Undoes the last step taken with root key `key`, where a step is a
+         * single change to `data` or everything a transaction did to `key`.
+         * Subscribers get the undoing changes as usual.  Returns whether or
+         * not there was anything to undo.  Requires the `undoLimit` option,
+         * which is the number of steps remembered for each key.  Deleting a
+         * root key forgets its steps, so can't be undone.
+         */
+        undo(key) {
+            return requireUndos().undo(key, applyInverses);
+        },
+        
+        /**
+         * Redoes the last step undone with root key `key`, returning whether
+         * or not there was anything to redo.  Any other change to the key
+         * forgets what there was to redo.
+         */
+        redo(key) {
+            return requireUndos().redo(key, applyInverses);
+        },
+        
+        /**
+         * Undoes every step taken with root key `key` since it was at
+         * `version`, as numbered in the messages sent for it, one step at a
+         * time.  Throws if `version` is older than the steps remembered, or
+         * isn't one the key was at between steps.
+         */
+        revertTo(key, version) {
+            requireUndos().revertTo(key, version,
+                    subscriberState.history.currentVersion(key),
+                    applyInverses);
+        },
+        
+        /**
+         * Consults the access policy again for each of `client`'s links, or
+         * for every client's links if `client` is undefined, unlinking any
+         * that are no longer allowed.
+         */
+        recheckAccess(client) {
+            subscriberState.recheckAccess(client);
         }
     };
 };
@@ -74,19 +691,102 @@ module.exports = ({ transport }) => {
 module.exports._serialize = serialize;
 module.exports._deserialize = deserialize;
 
-function withPath(d, path) {
-    let cursor = d;
-    path.forEach(segment => {
-        if (typeof segment !== undefined) {
-            cursor = cursor[segment];
+// object-observer reports every element removed by a single splice() at its
+// original index, but clients apply our messages one after another.  Rebase
+// each such deletion so it accounts for the deletions that preceded it.
+function rebaseArrayDeletes(changes, data) {
+    const priorDeletes = new Map();
+    
+    return changes.map(change => {
+        if (change.type !== 'delete' || change.path.length < 2) {
+            return change;
         }
+        
+        const parentPath = change.path.slice(0, -1);
+        if (!Array.isArray(withPath(data, parentPath))) {
+            return change;
+        }
+        
+        const parentId = JSON.stringify(parentPath);
+        const offset = priorDeletes.get(parentId) || 0;
+        priorDeletes.set(parentId, offset + 1);
+        
+        const index = change.path[change.path.length - 1];
+        return Object.assign({}, change, {
+            path: parentPath.concat([index - offset])
+        });
     });
+}
+
+function buildMessage(change, data, serialize, arrays) {
+    if (change.type === 'delete' && change.path.length === 1) {
+        // This is a root object deletion.  We treat this specially since we
+        // want to signal to clients that further updates about this root
+        // object key will not be delivered even if the object becomes
+        // re-established later.
+        
+        return {
+            op: 'finalize',
+            key: change.path[0]
+        };
+    }
+    
+    return changeTypes[change.type].buildMessage(
+            change, data, serialize, arrays);
+}
+
+/**
+ * Builds the message for a mutation of tracked collection `collection` at
+ * `path` beneath root key `key`.  Clients can only find entry keys and set
+ * values again if they're primitives, so for anything else we send the whole
+ * collection.
+ */
+function collectionMessage(key, path, collection, mutation, serialize) {
+    const identifier = mutation.op === 'mapSet' || mutation.op === 'mapDelete'
+            ? mutation.entry : mutation.value;
+    
+    if (mutation.op !== 'clear' && !isPrimitive(identifier)) {
+        return {
+            op: 'update',
+            key: key,
+            path: path,
+            value: serialize(collection)
+        };
+    }
     
-    return cursor;
+    const message = {
+        op: mutation.op,
+        key: key,
+        path: path
+    };
+    
+    if (mutation.op === 'mapSet' || mutation.op === 'mapDelete') {
+        message.entry = serialize(mutation.entry);
+    }
+    
+    if (mutation.op !== 'mapDelete' && mutation.op !== 'clear') {
+        message.value = serialize(mutation.value);
+    }
+    
+    return message;
+}
+
+function isValidQuery(query) {
+    if (typeof query === 'undefined') {
+        return true;
+    }
+    
+    try {
+        compileQuery(query);
+        return true;
+    }
+    catch (e) {
+        return false;
+    }
 }
 
 var changeTypes = (() => {
-    function updateFromPath(c, data) {
+    function updateFromPath(c, data, serialize) {
         return {
             op: 'update',
             key: c.path[0],
@@ -96,7 +796,7 @@ var changeTypes = (() => {
     }
     
     function insertStyleUpdate(op) {
-        return c => {
+        return (c, data, serialize) => {
             const result = {
                 op: op,
                 key: c.path[0],
@@ -111,6 +811,14 @@ var changeTypes = (() => {
         };
     }
     
+    function arrayOp(c, op) {
+        return {
+            op: op,
+            key: c.path[0],
+            path: c.path.slice(1)
+        };
+    }
+    
     return {
         insert: {
             buildMessage: insertStyleUpdate('insert')
@@ -121,77 +829,1012 @@ var changeTypes = (() => {
         delete: {
             buildMessage: insertStyleUpdate('delete')
         },
+        splice: {
+            buildMessage: (c, data, serialize) => {
+                const result = Object.assign(arrayOp(c, 'splice'), {
+                    index: c.index,
+                    deleteCount: c.deleteCount
+                });
+                
+                if (c.value.length > 0) {
+                    result.value = serialize(c.value);
+                }
+                
+                return result;
+            }
+        },
         shuffle: {
-            buildMessage: updateFromPath
+            buildMessage: (c, data, serialize, arrays) => {
+                const order = arrays.order(withPath(data, c.path));
+                if (typeof order === 'undefined') {
+                    return updateFromPath(c, data, serialize);
+                }
+                
+                // A list of moves is cheaper when the sort only moved a few
+                // elements, but costly to apply when it moved most of them.
+                const moves = movesFor(order);
+                return moves.length * 2 < order.length
+                        ? Object.assign(arrayOp(c, 'move'), { moves })
+                        : Object.assign(arrayOp(c, 'permute'), { order });
+            }
         },
         reverse: {
-            buildMessage: updateFromPath
+            buildMessage: c => arrayOp(c, 'reverse')
         }
     };
 })();
 
-class SubscriberState {
-    constructor(transport, data) {
-        this.keyToSubscribedClients = new MapOfLists();
-        this.clientsToSubscriptions = new MapOfLists();
-        this.transport = transport;
-        this.data = data;
+var inboundOps = {
+    link(context, client, message) {
+        const {
+            values,
+            subscriberState,
+            allowClientLinks
+        } = context;
+        const key = message.key;
+        const path = typeof message.path === 'undefined' ? [] : message.path;
         
-        transport.on('disconnect', client => {
-            this.clientsToSubscriptions.with(client).forEach(
-                    key => { this.unlinkSilently(client, key); });
+        if (typeof key !== 'string' || !Array.isArray(path)) {
+            return;
+        }
+        
+        if (!allowClientLinks || !isValidQuery(message.query) ||
+                (!isPattern(key) && typeof values.get(key) === 'undefined')) {
+            subscriberState.send(client, {
+                op: 'denied',
+                key: key
+            });
+        }
+        else if (isPattern(key)) {
+            subscriberState.linkPattern(client, key, path, message.query);
+        }
+        else {
+            subscriberState.link(client, key, path, message.query);
+        }
+    },
+    unlink({ subscriberState }, client, message) {
+        if (typeof message.key !== 'string') {
+            return;
+        }
+        
+        if (isPattern(message.key)) {
+            subscriberState.unlinkPattern(client, message.key);
+        }
+        else if (subscriberState.isLinked(client, message.key)) {
+            subscriberState.unlink(client, message.key);
+        }
+    },
+    resync({ subscriberState }, client, message) {
+        subscriberState.resync(client, message.key, message.version);
+    },
+    resume({ subscriberState }, client, message) {
+        subscriberState.resume(client, message.session, message.versions || {});
+    },
+    presence({ subscriberState }, client, message) {
+        // Presence is best effort, so there's nothing to tell the client if
+        // we don't take it.
+        subscriberState.publishPresence(client, message.key, message.state);
+    },
+    propose(context, client, message) {
+        const reject = reason => {
+            context.subscriberState.send(client, {
+                op: 'reject',
+                id: message.id,
+                key: message.key,
+                reason: reason
+            });
+        };
+        
+        propose(context, client, message, reject).catch(() => {
+            reject('error');
         });
     }
+};
+
+async function propose(context, client, message, reject) {
+    const {
+        data,
+        subscriberState,
+        authorize,
+        validate,
+        serialization,
+        collaborative
+    } = context;
+    const key = message.key;
     
-    unlinkSilently(client, key) {
-        const newList = this.keyToSubscribedClients.with(key).filter(
-                e => e !== client);
-        this.keyToSubscribedClients.set(key, newList);
+    if (!subscriberState.isLinked(client, key)) {
+        reject('unlinked');
+        return;
     }
     
-    sendObjectUpdate(rootObjectName, message) {
-        this.keyToSubscribedClients.with(rootObjectName).forEach(client => {
-            this.transport.send(client, message);
-        });
+    if (typeof data[key] === 'undefined') {
+        // It belongs to some other server on our backplane.
+        reject('remote');
+        return;
     }
     
-    link(client, key) {
-        this.keyToSubscribedClients.with(key).push(client);
-        this.clientsToSubscriptions.with(client).push(key);
+    let op;
+    try {
+        op = realizeProposal(message.proposal, serialization);
+    }
+    catch (e) {
+        reject('invalid');
+        return;
+    }
     
-        this.transport.send(client, {
-            op: 'init',
-            key: key,
-            value: serialize(this.data[key])
-        });
+    if (op.type === 'edit' && !collaborative(key, op.path)) {
+        reject('invalid');
+        return;
     }
     
-    unlink(client, key) {
-        this.unlinkSilently(client, key);
-            
-        this.transport.send(client, {
-            op: 'closed',
-            key: key
-        });
+    if (!await authorize(client, key, op)) {
+        reject('unauthorized');
+        return;
     }
     
-    clearSubscribers(key) {
+    if (!await validate(client, key, op)) {
+        reject('invalid');
+        return;
+    }
+    
+    if (!subscriberState.isLinked(client, key)) {
+        // Unlinked while we were waiting on the hooks.  The client already
+        // knows from the 'closed' or 'finalize' it was sent.
+        return;
+    }
+    
+    if (op.type === 'edit') {
+        // Others may have changed the same string or array since.
+        op = rebaseEdit(op, subscriberState.history.since(key, op.version));
+        if (typeof op === 'undefined') {
+            reject('conflict');
+            return;
+        }
+    }
+    
+    try {
+        applyProposal(data, key, op);
+    }
+    catch (e) {
+        reject('invalid');
+        return;
+    }
+    
+    subscriberState.send(client, {
+        op: 'ack',
+        id: message.id,
+        key: key
+    });
+}
+
+class SubscriberState {
+    constructor({
+        transport,
+        values,
+        serialization,
+        history,
+        sessions,
+        mayAccess,
+        projection,
+        rateLimit,
+        maxBacklog,
+        recordSent,
+        maxPresenceSize
+    }) {
+        this.keyToSubscribedClients = new MapOfLists();
+        this.clientsToSubscriptions = new MapOfLists();
+        
+        // client -> key -> { path, view, lastVersion, pattern, query,
+        // throttle }, where `lastVersion` is the version of the last message
+        // for `key` that `client` was sent, `pattern` is the pattern the
+        // client was linked through, if any, `query` is the query it linked
+        // with, if any, and `throttle` holds back messages for rate-limited
+        // links.
+        this.links = new Map();
+        
+        // client -> [{ pattern, matches, path, query }]
+        this.patternLinks = new MapOfLists();
+        
+        this.transport = transport;
+        this.values = values;
+        this.serialization = serialization;
+        this.history = history;
+        this.sessions = sessions;
+        this.mayAccess = mayAccess;
+        this.projection = projection;
+        this.rateLimit = rateLimit;
+        
+        // Called with each client and message we send, if we're recording.
+        this.recordSent = recordSent;
+        
+        // key -> client -> the presence state it last published, for each
+        // client linked to key, if presence is on.  Presence lives only
+        // here, never in `data`, so it isn't persisted, replicated over a
+        // backplane or versioned.
+        if (typeof maxPresenceSize !== 'undefined') {
+            this.presence = new Map();
+            this.maxPresenceSize = maxPresenceSize;
+        }
+        
+        // Rather than let a slow client's backlog grow without bound, we stop
+        // sending it deltas once it falls too far behind and send it fresh
+        // inits for whatever changed once it catches up.
+        if (typeof maxBacklog !== 'undefined') {
+            this.backlogs = new Backlogs(maxBacklog, (client, dirty) => {
+                dirty.filter(key => this.isLinked(client, key)).forEach(
+                        key => { this.sendInit(client, key); });
+            });
+            
+            transport.on('drain', client => {
+                this.backlogs.drained(client);
+            });
+        }
+        
+        transport.on('disconnect', client => {
+            const links = this.clientsToSubscriptions.with(client).map(key => ({
+                key: key,
+                path: this.links.get(client).get(key).path,
+                pattern: this.links.get(client).get(key).pattern,
+                query: this.links.get(client).get(key).query
+            }));
+            const patterns = this.patternLinks.with(client).map(
+                    ({ pattern, path, query }) => ({ pattern, path, query }));
+            
+            links.forEach(({ key }) => { this.unlinkSilently(client, key); });
+            this.clientsToSubscriptions.removeAll(client);
+            this.links.delete(client);
+            this.patternLinks.removeAll(client);
+            
+            if (this.backlogs) {
+                this.backlogs.forget(client);
+            }
+            
+            if (this.sessions) {
+                this.sessions.suspend(client, links, patterns);
+            }
+        });
+    }
+    
+    unlinkSilently(client, key, relinking) {
+        if (!relinking && this.isLinked(client, key)) {
+            this.leave(client, key);
+        }
+        
+        const newList = this.keyToSubscribedClients.with(key).filter(
+                e => e !== client);
+        this.keyToSubscribedClients.set(key, newList);
+        this.clientsToSubscriptions.set(client,
+                this.clientsToSubscriptions.with(client).filter(
+                        e => e !== key));
+        
+        if (this.links.has(client) && this.links.get(client).has(key)) {
+            cancelThrottle(this.links.get(client).get(key));
+            this.links.get(client).delete(key);
+        }
+    }
+    
+    sendObjectUpdate(rootObjectName, message) {
+        message = this.history.append(rootObjectName, message);
+    
+        this.keyToSubscribedClients.with(rootObjectName).forEach(client => {
+            this.sendDelta(client, rootObjectName, message);
+        });
+    }
+    
+    /**
+     * Sends `message` to `client` as seen through its view of `key`.  When
+     * the view has hidden messages from the client, the message says which
+     * version the client should already be at in its `from` field, so that
+     * the client can tell the difference from a lost message.
+     */
+    sendDelta(client, key, message) {
+        const link = this.links.get(client).get(key);
+        
+        if (link.throttle && message.op !== 'finalize') {
+            link.throttle.push(message);
+        }
+        else {
+            cancelThrottle(link);
+            this.deliverDelta(client, key, message);
+        }
+    }
+    
+    deliverDelta(client, key, message) {
+        const link = this.links.get(client).get(key);
+        
+        if (message.op !== 'finalize' && this.isBehind(client, key)) {
+            return;
+        }
+        
+        message = message.op === 'batch'
+                ? viewBatch(link.view, message, this.values.get(key))
+                : link.view.delta(message, this.values.get(key));
+        if (typeof message === 'undefined') {
+            return;
+        }
+        
+        if (message.version !== link.lastVersion + 1) {
+            message = Object.assign({}, message, { from: link.lastVersion });
+        }
+        
+        link.lastVersion = message.version;
+        this.send(client, message);
+    }
+    
+    send(client, message) {
+        if (this.recordSent) {
+            this.recordSent(client, message);
+        }
+        
+        const result = this.transport.send(client, message);
+        
+        if (this.backlogs) {
+            this.backlogs.track(client, result);
+        }
+    }
+    
+    /**
+     * Whether or not `client` has fallen too far behind to be sent anything
+     * more for `key` just now, in which case we remember to send it a fresh
+     * init for `key` once it catches up.
+     */
+    isBehind(client, key) {
+        if (!this.backlogs || !this.backlogs.isBehind(client)) {
+            return false;
+        }
+        
+        this.backlogs.markDirty(client, key);
+        return true;
+    }
+    
+    link(client, key, path, query) {
+        if (!this.mayAccess(client, key, path)) {
+            this.send(client, {
+                op: 'denied',
+                key: key
+            });
+            
+            return false;
+        }
+    
+        this.startSession(client);
+        this.linkSilently(client, key, path, undefined, query);
+        this.sendInit(client, key);
+        
+        return true;
+    }
+    
+    startSession(client) {
+        if (this.sessions && !this.sessions.has(client)) {
+            this.send(client, {
+                op: 'session',
+                session: this.sessions.start(client)
+            });
+        }
+    }
+    
+    linkPattern(client, pattern, path, query) {
+        this.startSession(client);
+        this.unlinkPattern(client, pattern, true);
+        this.addPatternLink(client, pattern, path, query);
+    }
+    
+    addPatternLink(client, pattern, path, query) {
+        const patternLink = {
+            pattern: pattern,
+            matches: compilePattern(pattern),
+            path: path,
+            query: query
+        };
+        this.patternLinks.with(client).push(patternLink);
+        
+        this.values.keys().filter(patternLink.matches).forEach(key => {
+            this.linkThroughPattern(client, key, patternLink);
+        });
+    }
+    
+    linkThroughPattern(client, key, { pattern, path, query }) {
+        if (this.isLinked(client, key) ||
+                !this.mayAccess(client, key, path)) {
+            return;
+        }
+        
+        this.linkSilently(client, key, path, pattern, query);
+        this.sendInit(client, key);
+    }
+    
+    /**
+     * Links the clients with patterns matching newly-created root key `key`.
+     */
+    linkPatternSubscribers(key) {
+        this.patternLinks.keys().forEach(client => {
+            this.patternLinks.with(client).forEach(patternLink => {
+                if (patternLink.matches(key)) {
+                    this.linkThroughPattern(client, key, patternLink);
+                }
+            });
+        });
+    }
+    
+    unlinkPattern(client, pattern, silently) {
+        this.patternLinks.set(client, this.patternLinks.with(client).filter(
+                patternLink => patternLink.pattern !== pattern));
+        
+        this.clientsToSubscriptions.with(client).slice().forEach(key => {
+            if (this.links.get(client).get(key).pattern === pattern) {
+                if (silently) {
+                    this.unlinkSilently(client, key);
+                }
+                else {
+                    this.unlink(client, key);
+                }
+            }
+        });
+    }
+    
+    isLinked(client, key) {
+        return this.clientsToSubscriptions.with(client).includes(key);
+    }
+    
+    linkSilently(client, key, path, pattern, query) {
+        const relinking = this.isLinked(client, key);
+        if (relinking) {
+            // Relinking replaces the old link, but as far as presence goes
+            // the client never left.
+            this.unlinkSilently(client, key, true);
+        }
+        
+        this.keyToSubscribedClients.with(key).push(client);
+        this.clientsToSubscriptions.with(client).push(key);
+        
+        if (!this.links.has(client)) {
+            this.links.set(client, new Map());
+        }
+        
+        const rate = this.rateLimit(client, key, path);
+        
+        this.links.get(client).set(key, {
+            path: path,
+            view: buildView(this.projection(client, key, path), path,
+                    this.serialization.serialize, query),
+            lastVersion: this.history.currentVersion(key),
+            pattern: pattern,
+            query: query,
+            throttle: typeof rate === 'undefined'
+                    ? undefined : new Throttle(1000 / rate, messages => {
+                        this.deliverDelta(client, key,
+                                collapseThrottled(key, messages));
+                    })
+        });
+        
+        if (!relinking) {
+            this.join(client, key);
+        }
+    }
+    
+    /**
+     * Tells `client`, just linked to `key`, who else is linked and what
+     * presence state each has published, and tells them it joined.
+     */
+    join(client, key) {
+        if (!this.presence) {
+            return;
+        }
+        
+        if (!this.presence.has(key)) {
+            this.presence.set(key, new Map());
+        }
+        
+        const states = this.presence.get(key);
+        
+        this.send(client, {
+            op: 'peers',
+            key: key,
+            peers: [...states].map(([peer, state]) => ({
+                client: this.transport.id(peer),
+                state: state
+            }))
+        });
+        
+        this.sendPeers(client, key, {
+            op: 'join',
+            key: key,
+            client: this.transport.id(client)
+        });
+        
+        states.set(client, undefined);
+    }
+    
+    /**
+     * Forgets `client`'s presence state for `key` and tells everyone else
+     * linked to `key` that it left.
+     */
+    leave(client, key) {
+        if (!this.presence || !this.presence.has(key)) {
+            return;
+        }
+        
+        const states = this.presence.get(key);
+        states.delete(client);
+        
+        if (states.size === 0) {
+            this.presence.delete(key);
+        }
+        
+        this.sendPeers(client, key, {
+            op: 'leave',
+            key: key,
+            client: this.transport.id(client)
+        });
+    }
+    
+    /**
+     * Sets `client`'s presence state for `key` to `state` and passes it on to
+     * everyone else linked to `key`.  Returns whether or not it was
+     * accepted, which it isn't if presence is off, if `client` isn't linked
+     * to `key`, or if `state` is bigger than `maxPresenceSize` as JSON.
+     */
+    publishPresence(client, key, state) {
+        if (!this.presence || !this.isLinked(client, key)) {
+            return false;
+        }
+        
+        const json = JSON.stringify(state);
+        if (typeof json !== 'undefined' && json.length > this.maxPresenceSize) {
+            return false;
+        }
+        
+        this.presence.get(key).set(client, state);
+        this.sendPeers(client, key, {
+            op: 'presence',
+            key: key,
+            client: this.transport.id(client),
+            state: state
+        });
+        
+        return true;
+    }
+    
+    sendPeers(client, key, message) {
+        this.keyToSubscribedClients.with(key)
+                .filter(peer => peer !== client)
+                .forEach(peer => { this.send(peer, message); });
+    }
+
+    sendInit(client, key) {
+        const link = this.links.get(client).get(key);
+        link.lastVersion = this.history.currentVersion(key);
+        
+        // The init brings the client up to date, so anything we were holding
+        // back is moot.
+        cancelThrottle(link);
+        
+        if (this.isBehind(client, key)) {
+            return;
+        }
+    
+        const message = {
+            op: 'init',
+            key: key,
+            version: link.lastVersion,
+            value: link.view.init(this.values.get(key))
+        };
+        
+        if (link.path.length > 0) {
+            message.path = link.path;
+        }
+        
+        this.send(client, message);
+    }
+    
+    resync(client, key, version) {
+        if (!this.isLinked(client, key)) {
+            return;
+        }
+        
+        this.catchUp(client, key, version);
+    }
+    
+    catchUp(client, key, version) {
+        const link = this.links.get(client).get(key);
+        const missed = this.history.since(key, version);
+        
+        if (typeof missed === 'undefined' || !link.view.replayable) {
+            this.sendInit(client, key);
+        }
+        else {
+            cancelThrottle(link);
+            link.lastVersion = version;
+            missed.forEach(
+                    message => { this.sendDelta(client, key, message); });
+        }
+    }
+    
+    resume(client, sessionId, versions) {
+        const session =
+                this.sessions && this.sessions.resume(client, sessionId);
+        
+        if (!session) {
+            this.send(client, {
+                op: 'expired',
+                session: sessionId
+            });
+            
+            return;
+        }
+        
+        session.finalized.forEach(key => {
+            this.send(client, {
+                op: 'finalize',
+                key: key
+            });
+        });
+        
+        session.links.forEach(({ key, path, pattern, query }) => {
+            if (this.mayAccess(client, key, path)) {
+                this.linkSilently(client, key, path, pattern, query);
+                this.catchUp(client, key, versions[key]);
+            }
+            else {
+                this.send(client, {
+                    op: 'closed',
+                    key: key
+                });
+            }
+        });
+        
+        // Pick up anything created in our absence that matches our patterns.
+        session.patterns.forEach(({ pattern, path, query }) => {
+            this.addPatternLink(client, pattern, path, query);
+        });
+    }
+    
+    unlink(client, key) {
+        this.unlinkSilently(client, key);
+            
+        this.send(client, {
+            op: 'closed',
+            key: key
+        });
+    }
+    
+    recheckAccess(client) {
+        const clients = typeof client === 'undefined'
+                ? this.clientsToSubscriptions.keys() : [client];
+        
+        clients.forEach(client => {
+            this.clientsToSubscriptions.with(client).slice().forEach(key => {
+                const path = this.links.get(client).get(key).path;
+                if (!this.mayAccess(client, key, path)) {
+                    this.unlink(client, key);
+                }
+            });
+        });
+    }
+    
+    clearSubscribers(key) {
+        // Everyone is told the key is gone, which says all there is to say
+        // about who's left.
+        if (this.presence) {
+            this.presence.delete(key);
+        }
+        
         this.keyToSubscribedClients.with(key).forEach(client => {
             const newSubscriptionList = this.clientsToSubscriptions.with(client)
                     .filter(e => e !== key);
             this.clientsToSubscriptions.set(client, newSubscriptionList);
+            cancelThrottle(this.links.get(client).get(key));
+            this.links.get(client).delete(key);
         });
         
         this.keyToSubscribedClients.removeAll(key);
+        this.history.forget(key);
+        
+        if (this.sessions) {
+            this.sessions.finalize(key);
+        }
+    }
+}
+
+function cancelThrottle(link) {
+    if (link && link.throttle) {
+        link.throttle.cancel();
+    }
+}
+
+/**
+ * Combines the messages a throttle held back into one, carrying the version
+ * of the last of them.
+ */
+function collapseThrottled(key, messages) {
+    const flattened = [];
+    messages.forEach(message => {
+        if (message.op === 'batch') {
+            message.messages.forEach(inner => {
+                flattened.push(Object.assign({ key }, inner));
+            });
+        }
+        else {
+            flattened.push(message);
+        }
+    });
+    
+    return Object.assign(batchMessage(key, flattened), {
+        version: messages[messages.length - 1].version
+    });
+}
+
+/**
+ * Passes messages along to `flush` at most once every `interval`
+ * milliseconds.  Messages that arrive too soon after the last flush are held
+ * back and then flushed together as soon as the interval is up.
+ */
+class Throttle {
+    constructor(interval, flush) {
+        this.interval = interval;
+        this.flush = flush;
+        this.queued = [];
+        this.lastFlush = -Infinity;
+    }
+    
+    push(message) {
+        this.queued.push(message);
+        
+        if (typeof this.timer !== 'undefined') {
+            return;
+        }
+        
+        const wait = this.lastFlush + this.interval - Date.now();
+        if (wait <= 0) {
+            this.flushQueued();
+        }
+        else {
+            this.timer = setTimeout(() => {
+                this.timer = undefined;
+                this.flushQueued();
+            }, wait);
+            
+            if (this.timer.unref) {
+                this.timer.unref();
+            }
+        }
+    }
+    
+    flushQueued() {
+        const messages = this.queued;
+        this.queued = [];
+        this.lastFlush = Date.now();
+        
+        if (messages.length > 0) {
+            this.flush(messages);
+        }
+    }
+    
+    /**
+     * Forgets any messages being held back.
+     */
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = undefined;
+        this.queued = [];
+    }
+}
+
+/**
+ * Keeps track of how far behind each client is.  A client is behind if its
+ * transport's `send()` returned `false`, in which case it stays behind until
+ * the transport emits a `drain` for it, or if more than `limit` of the
+ * promises `send()` returned for it are yet to settle, in which case it stays
+ * behind until all of them have.  Once a client is no longer behind,
+ * `onDrained` is called with the client and the keys that were marked dirty
+ * in the meantime.
+ */
+class Backlogs {
+    constructor(limit, onDrained) {
+        this.limit = limit;
+        this.onDrained = onDrained;
+        this.clients = new Map();
+    }
+    
+    stateOf(client) {
+        if (!this.clients.has(client)) {
+            this.clients.set(client, {
+                outstanding: 0,
+                behind: false,
+                dirty: new Set()
+            });
+        }
+        
+        return this.clients.get(client);
+    }
+    
+    track(client, result) {
+        if (result === false) {
+            this.stateOf(client).behind = true;
+            return;
+        }
+        
+        if (!result || typeof result.then !== 'function') {
+            return;
+        }
+        
+        const state = this.stateOf(client);
+        state.outstanding++;
+        if (state.outstanding > this.limit) {
+            state.behind = true;
+        }
+        
+        const settled = () => {
+            if (this.clients.get(client) !== state) {
+                // Forgotten.
+                return;
+            }
+            
+            state.outstanding--;
+            if (state.outstanding === 0) {
+                this.drained(client);
+            }
+        };
+        result.then(settled, settled);
+    }
+    
+    isBehind(client) {
+        return this.clients.has(client) && this.clients.get(client).behind;
+    }
+    
+    markDirty(client, key) {
+        this.stateOf(client).dirty.add(key);
+    }
+    
+    drained(client) {
+        const state = this.clients.get(client);
+        if (!state || !state.behind) {
+            return;
+        }
+        
+        state.behind = false;
+        
+        const dirty = [...state.dirty];
+        state.dirty.clear();
+        this.onDrained(client, dirty);
+    }
+    
+    forget(client) {
+        this.clients.delete(client);
     }
 }
 
-function serialize(o) {
-    return sejr.describe(o);
+/**
+ * Tracks which client each resumable session belongs to, and, for sessions
+ * whose client has disconnected, what it was linked to.  A suspended
+ * session is forgotten if it isn't resumed within `timeout` milliseconds.
+ */
+class Sessions {
+    constructor(timeout, generateId) {
+        this.timeout = timeout;
+        this.generateId = generateId;
+        this.clientToSessionId = new Map();
+        this.suspended = new Map();
+    }
+    
+    has(client) {
+        return this.clientToSessionId.has(client);
+    }
+    
+    start(client) {
+        const id = this.generateId();
+        this.clientToSessionId.set(client, id);
+        return id;
+    }
+    
+    suspend(client, links, patterns) {
+        const id = this.clientToSessionId.get(client);
+        if (typeof id === 'undefined') {
+            return;
+        }
+        
+        this.clientToSessionId.delete(client);
+        
+        const timer = setTimeout(
+                () => { this.suspended.delete(id); }, this.timeout);
+        if (timer.unref) {
+            timer.unref();
+        }
+        
+        this.suspended.set(id, {
+            links: links,
+            patterns: patterns,
+            finalized: [],
+            timer: timer
+        });
+    }
+    
+    /**
+     * Hands suspended session `id` over to `client`, returning the `links`
+     * (each a `{ key, path, pattern }`) and `patterns` (each a
+     * `{ pattern, path }`) it should be relinked with and the keys that were
+     * `finalized` in its absence, or `undefined` if there's no such suspended
+     * session.
+     */
+    resume(client, id) {
+        const session = this.suspended.get(id);
+        if (typeof session === 'undefined') {
+            return undefined;
+        }
+        
+        clearTimeout(session.timer);
+        this.suspended.delete(id);
+        this.clientToSessionId.set(client, id);
+        
+        return session;
+    }
+    
+    finalize(key) {
+        this.suspended.forEach(session => {
+            if (session.links.some(link => link.key === key)) {
+                session.links = session.links.filter(link => link.key !== key);
+                session.finalized.push(key);
+            }
+        });
+    }
 }
 
-function deserialize(s) {
-    return sejr.realize(s);
+/**
+ * Assigns each root key's messages consecutive version numbers and remembers
+ * the most recent `limit` of them so that a client that missed some can be
+ * caught up without a full snapshot.
+ */
+class MessageHistory {
+    constructor(limit) {
+        this.limit = limit;
+        this.versions = new Map();
+        this.messages = new MapOfLists();
+    }
+    
+    currentVersion(key) {
+        return this.versions.get(key) || 0;
+    }
+    
+    append(key, message) {
+        const version = this.currentVersion(key) + 1;
+        const versionedMessage = Object.assign({}, message, { version });
+        
+        this.versions.set(key, version);
+        
+        const messages = this.messages.with(key);
+        messages.push(versionedMessage);
+        if (messages.length > this.limit) {
+            messages.splice(0, messages.length - this.limit);
+        }
+        
+        return versionedMessage;
+    }
+    
+    /**
+     * Returns the messages for `key` that came after `version`, in order, or
+     * `undefined` if some of them have already been forgotten.
+     */
+    since(key, version) {
+        const current = this.currentVersion(key);
+        const messages = this.messages.with(key);
+        const oldestRemembered = current - messages.length + 1;
+        
+        if (typeof version !== 'number' || version > current ||
+                version + 1 < oldestRemembered) {
+            return undefined;
+        }
+        
+        return messages.slice(version + 1 - oldestRemembered);
+    }
+    
+    /**
+     * Forgets the messages for `key`, which has been finalized.  Its version
+     * is kept, so that versions of a key by the same name made later can't
+     * be mistaken for versions of this one.
+     */
+    forget(key) {
+        this.messages.removeAll(key);
+    }
 }
 
 class MapOfLists {
@@ -199,6 +1842,10 @@ class MapOfLists {
         this.map = new Map();
     }
     
+    keys() {
+        return [...this.map.keys()];
+    }
+    
     removeAll(key) {
         this.map.delete(key);
     }
@@ -0,0 +1,44 @@
+const { compilePattern } = require('./patterns');
+
+module.exports = {
+    /**
+     * Turns the `access` option accepted by the server factory into a function
+     * from `(client, key, path)` to whether or not `client` may link to path
+     * `path` beneath root key `key`.
+     *
+     * `access` may already be such a function, or it may be a rule table
+     * whose keys are root keys or root key patterns and whose values are
+     * either booleans or functions from `(client, key, path)` to booleans.
+     * An exact match takes precedence over patterns, which are otherwise
+     * tried in order.  Keys that match no rule are denied.  If `access` is
+     * undefined, every client may link to every key.
+     */
+    compileAccessPolicy(access) {
+        if (typeof access === 'undefined') {
+            return () => true;
+        }
+        
+        if (typeof access === 'function') {
+            return access;
+        }
+        
+        const patterns = Object.keys(access).map(pattern => ({
+            matches: compilePattern(pattern),
+            rule: access[pattern]
+        }));
+        
+        return (client, key, path) => {
+            let rule;
+            if (Object.prototype.hasOwnProperty.call(access, key)) {
+                rule = access[key];
+            }
+            else {
+                const match = patterns.find(p => p.matches(key));
+                rule = match ? match.rule : false;
+            }
+            
+            return typeof rule === 'function'
+                    ? !!rule(client, key, path) : !!rule;
+        };
+    }
+};
@@ -0,0 +1,287 @@
+const { startsWith, withPath } = require('./paths');
+const { isPlainObject } = require('./values');
+
+/**
+ * object-observer reports a `splice()` as one change per element touched,
+ * and a `sort()` or `reverse()` only as the fact that it happened.  Sending
+ * those along as is would cost subscribers a message per element or the
+ * whole array, so we describe them with array ops of our own:
+ *
+ * - `splice`, with `index`, `deleteCount` and the inserted elements as
+ *   `value`, just like `Array.prototype.splice()`.
+ * - `reverse`.
+ * - `move`, with a list of `[from, to]` `moves`, each removing the element at
+ *   `from` and then inserting it at `to`.
+ * - `permute`, with an `order` listing the old index of each element.
+ *
+ * All of them have the array's own path as their `path`.
+ */
+module.exports = {
+    /**
+     * Applies array op `message` to `array`, where `value` is the message's
+     * deserialized value.
+     */
+    applyArrayOp(array, message, value) {
+        arrayOps[message.op](array, message, value);
+    },
+    
+    /**
+     * Whether or not `message` is one of the array ops above.
+     */
+    isArrayOp(message) {
+        return Object.prototype.hasOwnProperty.call(arrayOps, message.op);
+    },
+    
+    /**
+     * Builds the `ArrayShadows` below, for working out how sorts moved
+     * elements.
+     */
+    arrayShadows() {
+        return new ArrayShadows();
+    },
+    
+    /**
+     * If `changes`, with their array deletes already rebased, are the
+     * element-by-element changes of a single `splice()`, `push()`,
+     * `unshift()` or `fill()` of more than one element, returns a list
+     * holding a single equivalent `splice` change.  Otherwise returns
+     * `changes`.
+     */
+    asSplice(changes, data) {
+        if (changes.length < 2) {
+            return changes;
+        }
+        
+        const path = changes[0].path.slice(0, -1);
+        if (!changes.every(c => c.path.length === path.length + 1 &&
+                startsWith(c.path, path)) ||
+                !Array.isArray(withPath(data, path))) {
+            return changes;
+        }
+        
+        // Element changes make up a splice if they are updates, then
+        // deletes, then inserts, each following on from where the last left
+        // off.
+        const kinds = ['update', 'delete', 'insert'];
+        const index = changes[0].path[path.length];
+        const value = [];
+        let cursor = index;
+        let deleteCount = 0;
+        let kind = 0;
+        
+        for (let i = 0; i < changes.length; i++) {
+            const change = changes[i];
+            
+            while (kind < kinds.length && change.type !== kinds[kind]) {
+                kind++;
+            }
+            
+            if (kind === kinds.length || change.path[path.length] !== cursor) {
+                return changes;
+            }
+            
+            if (change.type !== 'delete') {
+                value.push(change.value);
+                cursor++;
+            }
+            
+            if (change.type !== 'insert') {
+                deleteCount++;
+            }
+        }
+        
+        return [{
+            type: 'splice',
+            path: path,
+            index: index,
+            deleteCount: deleteCount,
+            value: value
+        }];
+    },
+    
+    /**
+     * Returns the `[from, to]` moves that put the elements of an array in the
+     * order given by `order`, which lists the old index of each element.
+     * Elements in the longest run already in order stay put, so a sort that
+     * only moves a few elements gives only a few moves.
+     */
+    movesFor(order) {
+        const staying = new Set(longestIncreasing(order));
+        const current = order.map((x, i) => i);
+        const moves = [];
+        
+        order.forEach((oldIndex, i) => {
+            if (staying.has(oldIndex)) {
+                return;
+            }
+            
+            const from = current.indexOf(oldIndex);
+            current.splice(from, 1);
+            
+            const to = i === 0 ? 0 : current.indexOf(order[i - 1]) + 1;
+            current.splice(to, 0, oldIndex);
+            
+            moves.push([from, to]);
+        });
+        
+        return moves;
+    }
+};
+
+var arrayOps = {
+    splice(array, message, value) {
+        array.splice(message.index, message.deleteCount, ...(value || []));
+    },
+    reverse(array) {
+        array.reverse();
+    },
+    move(array, message) {
+        message.moves.forEach(([from, to]) => {
+            array.splice(to, 0, array.splice(from, 1)[0]);
+        });
+    },
+    permute(array, message) {
+        const old = array.slice();
+        message.order.forEach((oldIndex, i) => {
+            array[i] = old[oldIndex];
+        });
+    }
+};
+
+/**
+ * Remembers the order of the elements of each array in `data`, which is what
+ * we need to work out how a `sort()` moved them once object-observer tells
+ * us it happened.  Shadows hold the very same elements as their arrays, so
+ * objects are matched up by identity.
+ */
+class ArrayShadows {
+    constructor() {
+        this.shadows = new WeakMap();
+    }
+    
+    /**
+     * Starts following every array reachable from `value`, which must be
+     * taken from `data` so that its objects are the observed ones.
+     */
+    track(value) {
+        if (Array.isArray(value)) {
+            this.shadows.set(value, value.slice());
+            value.forEach(element => { this.track(element); });
+        }
+        else if (isPlainObject(value)) {
+            Object.keys(value).forEach(key => { this.track(value[key]); });
+        }
+    }
+    
+    /**
+     * Brings our shadows up to date with `change`, which has been made to
+     * `data` and has had its array deletes rebased.
+     */
+    update(change, data) {
+        if (change.type === 'shuffle' || change.type === 'reverse') {
+            const array = withPath(data, change.path);
+            this.shadows.set(array, array.slice());
+            return;
+        }
+        
+        const path = change.path;
+        const shadow = this.shadows.get(withPath(data, path.slice(0, -1)));
+        const value = change.type === 'delete'
+                ? undefined : withPath(data, path);
+        
+        if (typeof shadow !== 'undefined') {
+            const index = path[path.length - 1];
+            if (change.type === 'insert') {
+                shadow.splice(index, 0, value);
+            }
+            else if (change.type === 'delete') {
+                shadow.splice(index, 1);
+            }
+            else {
+                shadow[index] = value;
+            }
+        }
+        
+        this.track(value);
+    }
+    
+    /**
+     * Returns the length of `array` as of the last time we saw it, or
+     * `undefined` if we aren't following it.
+     */
+    length(array) {
+        const shadow = this.shadows.get(array);
+        return typeof shadow === 'undefined' ? undefined : shadow.length;
+    }
+    
+    /**
+     * Returns the old index of each element of `array` as of the last time
+     * we saw it, or `undefined` if we can't tell.
+     */
+    order(array) {
+        const shadow = this.shadows.get(array);
+        if (typeof shadow === 'undefined' || shadow.length !== array.length) {
+            return undefined;
+        }
+        
+        // Equal primitives are interchangeable, so we hand out their old
+        // indices in turn.
+        const indices = new Map();
+        for (let i = shadow.length - 1; i >= 0; i--) {
+            if (!indices.has(shadow[i])) {
+                indices.set(shadow[i], []);
+            }
+            
+            indices.get(shadow[i]).push(i);
+        }
+        
+        const result = [];
+        for (let i = 0; i < array.length; i++) {
+            const candidates = indices.get(array[i]);
+            if (typeof candidates === 'undefined' ||
+                    candidates.length === 0) {
+                return undefined;
+            }
+            
+            result.push(candidates.pop());
+        }
+        
+        return result;
+    }
+}
+
+/**
+ * Returns a longest strictly increasing subsequence of `values`.
+ */
+function longestIncreasing(values) {
+    // tails[k] is the index of the smallest value ending an increasing
+    // subsequence of length k + 1.
+    const tails = [];
+    const previous = new Array(values.length);
+    
+    values.forEach((value, i) => {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (values[tails[middle]] < value) {
+                low = middle + 1;
+            }
+            else {
+                high = middle;
+            }
+        }
+        
+        previous[i] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = i;
+    });
+    
+    const result = [];
+    let i = tails.length > 0 ? tails[tails.length - 1] : -1;
+    while (i >= 0) {
+        result.unshift(values[i]);
+        i = previous[i];
+    }
+    
+    return result;
+}
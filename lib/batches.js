@@ -0,0 +1,116 @@
+const { isArrayOp } = require('./arrays');
+const { startsWith } = require('./paths');
+
+module.exports = {
+    /**
+     * Returns the message to send in place of the messages for `key`
+     * accumulated during a transaction, which must be applied in order.
+     * Messages made redundant by a later `update` are dropped, and if more
+     * than one message remains, they are wrapped in a single `batch` message
+     * so that clients can apply them all at once.
+     */
+    batchMessage(key, messages) {
+        messages = collapse(messages);
+        
+        if (messages.length === 1) {
+            return messages[0];
+        }
+        
+        return {
+            op: 'batch',
+            key: key,
+            messages: messages.map(withoutEnvelope)
+        };
+    },
+    
+    /**
+     * Strips a message down to what's needed to describe it inside a `batch`,
+     * which carries the key and version for all of its messages.
+     */
+    withoutEnvelope(message) {
+        return withoutEnvelope(message);
+    },
+    
+    /**
+     * Whether or not `message` inserts or deletes a single array element.
+     */
+    isArrayResize(message) {
+        return isArrayResize(message);
+    },
+    
+    /**
+     * Whether or not `message` inserts, deletes or rearranges the elements
+     * of an array along `path`, so that `path` may refer to some other
+     * element after it than before.
+     */
+    shifts(message, path) {
+        return shifts(message, path);
+    }
+};
+
+/**
+ * An `update` replaces everything at its path, so any earlier message that
+ * only changed things at or beneath that path can go, except for array
+ * inserts and deletes at exactly that path, which also move the elements
+ * after it.  And nothing before an array insert or delete along the path, or
+ * an array op (see lib/arrays.js) on an array containing it, can go, since
+ * then the path may have referred to some other element when the earlier
+ * message was sent.
+ */
+function collapse(messages) {
+    const dropped = new Array(messages.length).fill(false);
+    
+    for (let j = messages.length - 1; j >= 0; j--) {
+        if (dropped[j] || messages[j].op !== 'update') {
+            continue;
+        }
+        
+        const path = messages[j].path;
+        for (let i = j - 1; i >= 0; i--) {
+            const earlier = messages[i];
+            
+            if (shifts(earlier, path)) {
+                break;
+            }
+            
+            if (startsWith(earlier.path, path) &&
+                    (earlier.path.length > path.length ||
+                            !isArrayResize(earlier))) {
+                dropped[i] = true;
+            }
+        }
+    }
+    
+    return messages.filter((m, i) => !dropped[i]);
+}
+
+/**
+ * Whether or not `message` might change which element `path` refers to.
+ */
+function shifts(message, path) {
+    if (isArrayOp(message)) {
+        return message.path.length < path.length &&
+                startsWith(path, message.path);
+    }
+    
+    return isArrayResize(message) && message.path.length <= path.length &&
+            startsWith(path, message.path.slice(0, -1));
+}
+
+/**
+ * Array elements are addressed by numeric path segments, while object fields
+ * are always addressed by strings.
+ */
+function isArrayResize(message) {
+    return (message.op === 'insert' || message.op === 'delete') &&
+            typeof message.path[message.path.length - 1] === 'number';
+}
+
+function withoutEnvelope(message) {
+    const result = Object.assign({}, message);
+    delete result.key;
+    delete result.version;
+    delete result.from;
+    
+    return result;
+}
@@ -0,0 +1,171 @@
+const { isArrayResize } = require('./batches');
+const { startsWith } = require('./paths');
+
+/**
+ * The strings and arrays picked out by the server's `collaborative` option can
+ * be edited by several clients at once.  Clients propose `edit`s (see
+ * lib/proposals.js) tagged with the version of the root key their replica
+ * was at, and before applying one the server rebases it over whatever else
+ * was done to the string or array since, much as in operational
+ * transformation.  Since the server applies edits one at a time, and clients
+ * only change their replicas as the server tells them to, everyone converges
+ * on the same result.
+ *
+ * Changes to collaborative strings are sent as `textSplice` messages, with an
+ * `index`, a `deleteCount` and the text to insert as `value`, rather than as
+ * replacements of the whole string.
+ */
+module.exports = {
+    /**
+     * Returns the `{ index, deleteCount, value }` of a single splice that
+     * turns string `before` into string `after`.
+     */
+    textSplice(before, after) {
+        let start = 0;
+        while (start < before.length && start < after.length &&
+                before[start] === after[start]) {
+            start++;
+        }
+        
+        let end = 0;
+        while (end < before.length - start && end < after.length - start &&
+                before[before.length - 1 - end] ===
+                        after[after.length - 1 - end]) {
+            end++;
+        }
+        
+        return {
+            index: start,
+            deleteCount: before.length - start - end,
+            value: after.slice(start, after.length - end)
+        };
+    },
+    
+    /**
+     * Returns `text` with `deleteCount` characters removed at `index` and
+     * `insert` put in their place.
+     */
+    spliceText(text, index, deleteCount, insert) {
+        return text.slice(0, index) + insert + text.slice(index + deleteCount);
+    },
+    
+    /**
+     * Returns `edit`, made against an older version of its root key, with
+     * its `start` and `deleteCount` moved to account for `messages`, the
+     * messages sent for the key since.  Returns `undefined` if the edit
+     * can't be rebased, because `messages` is `undefined` or because one of
+     * them replaced, rearranged or moved the string or array being edited.
+     *
+     * Where another change inserted at the very spot the edit starts, the
+     * edit goes after it.  Anything the edit would have deleted that another
+     * change deleted first is simply gone.
+     */
+    rebaseEdit(edit, messages) {
+        if (typeof messages === 'undefined') {
+            return undefined;
+        }
+        
+        const flattened = [].concat(...messages.map(message =>
+                message.op === 'batch' ? message.messages : [message]));
+        
+        for (let i = 0; i < flattened.length; i++) {
+            const splice = spliceOf(flattened[i], edit.path);
+            
+            if (splice === conflict) {
+                return undefined;
+            }
+            
+            if (typeof splice !== 'undefined') {
+                const start = moveIndex(edit.start, splice, true);
+                const end = moveIndex(
+                        edit.start + edit.deleteCount, splice, false);
+                
+                edit = Object.assign({}, edit, {
+                    start: start,
+                    deleteCount: Math.max(0, end - start)
+                });
+            }
+        }
+        
+        return edit;
+    }
+};
+
+const conflict = Symbol('conflict');
+
+/**
+ * Describes what `message` did to the string or array at `path` as an
+ * `{ index, deleteCount, count }` splice, where `count` is the number of
+ * items inserted.  Returns `undefined` if it left the indices at `path`
+ * alone, or `conflict` if they can no longer be trusted.
+ */
+function spliceOf(message, path) {
+    if (typeof message.path === 'undefined') {
+        // A finalize, after which the key may have been created afresh.
+        return conflict;
+    }
+    
+    const messagePath = message.path;
+    
+    if (messagePath.length === path.length && startsWith(messagePath, path)) {
+        return message.op === 'splice' || message.op === 'textSplice'
+                ? {
+                    index: message.index,
+                    deleteCount: message.deleteCount,
+                    // Splices that only delete carry no value.
+                    count: (message.value || []).length
+                }
+                : conflict;
+    }
+    
+    if (messagePath.length > path.length) {
+        const resize = messagePath.length === path.length + 1 &&
+                startsWith(messagePath, path) && isArrayResize(message);
+        
+        return resize
+                ? {
+                    index: messagePath[path.length],
+                    deleteCount: message.op === 'delete' ? 1 : 0,
+                    count: message.op === 'insert' ? 1 : 0
+                }
+                : undefined;
+    }
+    
+    if (startsWith(path, messagePath)) {
+        // Something containing the string or array.  Splicing after it, or
+        // changing a Map or Set, which paths don't go through, is harmless.
+        const harmless = (message.op === 'splice' &&
+                message.index > path[messagePath.length]) ||
+                ['mapSet', 'mapDelete', 'setAdd', 'setDelete', 'clear']
+                        .includes(message.op);
+        
+        return harmless ? undefined : conflict;
+    }
+    
+    // An array insert or delete before an array containing it.
+    const parentPath = messagePath.slice(0, -1);
+    const segment = messagePath[messagePath.length - 1];
+    if (isArrayResize(message) && startsWith(path, parentPath) &&
+            segment <= path[parentPath.length]) {
+        return conflict;
+    }
+    
+    return undefined;
+}
+
+/**
+ * Where index `i` ends up after `splice`.  An index inside what the splice
+ * deleted goes to either end of what it inserted, as `afterInserts` says,
+ * as does an index exactly where it only inserted.
+ */
+function moveIndex(i, { index, deleteCount, count }, afterInserts) {
+    if (i < index || (i === index && deleteCount === 0 && !afterInserts)) {
+        return i;
+    }
+    
+    if (i >= index + deleteCount) {
+        return i - deleteCount + count;
+    }
+    
+    return afterInserts ? index + count : index;
+}
@@ -0,0 +1,304 @@
+const { isRevoked } = require('./revoked');
+const { isPlainObject } = require('./values');
+
+const onMutation = Symbol('onMutation');
+
+/**
+ * object-observer only sees plain objects and arrays.  Worse, it copies any
+ * other object it finds into a plain object of its own, so a `Map` or `Set`
+ * put in `data` arrives empty.  The exception is objects whose constructor's
+ * name is on its list of built-ins it leaves alone.
+ *
+ * So before a value goes into `data` (see lib/guard.js), `admit()` swaps each
+ * `Map` and `Set` in it for a copy that is one of the subclasses below, which
+ * claim to have been built by `Function` so that object-observer leaves them
+ * be, and which report their own mutations to whatever is registered with
+ * `watch()`.  Collections put in a tracked collection are swapped the same
+ * way.  Paths can't reach inside a collection, so a change to one held in
+ * another is sent as an update of the outermost.
+ *
+ * Any other object that isn't a plain object or an array, such as an
+ * instance of one of our own types (see lib/serialization.js) or a typed
+ * array, would be copied just the same.  So `admit()` swaps each of those for
+ * a copy made by serializing it, which it marks as built by `Function` too,
+ * and which is kept as an opaque value: it's sent whole, and changing it
+ * means replacing it.  The copy's `constructor` reads as `Function`, but
+ * `instanceof` still works, and the original is left as it was.  Objects of
+ * no type of their own are copied as the plain objects clients see them as.
+ */
+class TrackedMap extends Map {
+    set(key, value) {
+        value = module.exports.admit(value);
+        const inverse = this.has(key)
+                ? { op: 'mapSet', entry: key, value: this.get(key) }
+                : { op: 'mapDelete', entry: key };
+        super.set(key, value);
+        notify(this, { op: 'mapSet', entry: key, value: value }, [inverse]);
+        return this;
+    }
+    
+    delete(key) {
+        const value = this.get(key);
+        const deleted = super.delete(key);
+        if (deleted) {
+            notify(this, { op: 'mapDelete', entry: key },
+                    [{ op: 'mapSet', entry: key, value: value }]);
+        }
+        
+        return deleted;
+    }
+    
+    clear() {
+        const entries = [...this.entries()];
+        super.clear();
+        if (entries.length > 0) {
+            notify(this, { op: 'clear' }, entries.map(([key, value]) =>
+                    ({ op: 'mapSet', entry: key, value: value })));
+        }
+    }
+}
+
+class TrackedSet extends Set {
+    add(value) {
+        value = module.exports.admit(value);
+        const added = !this.has(value);
+        super.add(value);
+        if (added) {
+            notify(this, { op: 'setAdd', value: value },
+                    [{ op: 'setDelete', value: value }]);
+        }
+        
+        return this;
+    }
+    
+    delete(value) {
+        const deleted = super.delete(value);
+        if (deleted) {
+            notify(this, { op: 'setDelete', value: value },
+                    [{ op: 'setAdd', value: value }]);
+        }
+        
+        return deleted;
+    }
+    
+    clear() {
+        const values = [...this.values()];
+        super.clear();
+        if (values.length > 0) {
+            notify(this, { op: 'clear' },
+                    values.map(value => ({ op: 'setAdd', value: value })));
+        }
+    }
+}
+
+[TrackedMap, TrackedSet].forEach(Tracked => {
+    Object.defineProperty(Tracked.prototype, 'constructor', {
+        value: Function,
+        writable: true,
+        configurable: true
+    });
+});
+
+function notify(collection, mutation, inverse) {
+    // The base class constructors call add() and set() before we've had a
+    // chance to start watching, which is just as well.
+    if (collection[onMutation]) {
+        collection[onMutation](collection, mutation, inverse);
+    }
+}
+
+module.exports = {
+    /**
+     * Returns `value` as it should be put in `data`, which is `value` itself
+     * unless there's a `Map` or `Set` in it that isn't yet tracked, or, given
+     * `serialization` (see lib/serialization.js), an opaque value that isn't
+     * yet marked.  Then it is a copy with each of those swapped for a tracked
+     * copy or a marked one.  Since tracked collections admit what is put in
+     * them, so are any collections inside those.  Opaque values held in
+     * collections aren't seen by object-observer, so needn't be swapped.
+     *
+     * Throws if a marked copy can't be made of some opaque value.
+     */
+    admit(value, serialization) {
+        if (isRevoked(value)) {
+            // See lib/revoked.js.
+            return value;
+        }
+        
+        if (value instanceof Map || value instanceof Set) {
+            return isTracked(value) ? value : module.exports.tracked(value);
+        }
+        
+        if (typeof serialization !== 'undefined' && isOpaque(value)) {
+            return markedCopy(value, serialization);
+        }
+        
+        if (!Array.isArray(value) && !isPlainObject(value)) {
+            return value;
+        }
+        
+        let result = value;
+        Object.keys(value).forEach(key => {
+            const child = module.exports.admit(value[key], serialization);
+            if (child !== value[key]) {
+                if (result === value) {
+                    result = Array.isArray(value)
+                            ? value.slice() : Object.assign({}, value);
+                }
+                
+                result[key] = child;
+            }
+        });
+        
+        return result;
+    },
+    
+    /**
+     * Lists the tracked collections in `value`.
+     */
+    trackedCollections(value) {
+        const result = [];
+        visitCollections(value, [], collection => {
+            if (isTracked(collection)) {
+                result.push(collection);
+            }
+        });
+        
+        return result;
+    },
+    
+    /**
+     * Lists the tracked collections held in tracked `collection`, however
+     * deeply.
+     */
+    nestedCollections(collection) {
+        const result = [];
+        [...collection.values()].forEach(value => {
+            visitCollections(value, [], nested => {
+                if (isTracked(nested)) {
+                    result.push(nested,
+                            ...module.exports.nestedCollections(nested));
+                }
+            });
+        });
+        
+        return result;
+    },
+    
+    /**
+     * Returns a tracked copy of `Map` or `Set` `collection`.
+     */
+    tracked(collection) {
+        return collection instanceof Map
+                ? new TrackedMap(collection) : new TrackedSet(collection);
+    },
+    
+    /**
+     * Has tracked `collection` call `handler(collection, mutation, inverse)`
+     * whenever it is changed, where `mutation` is one of `{ op: 'mapSet',
+     * entry, value }`, `{ op: 'mapDelete', entry }`, `{ op: 'setAdd', value
+     * }`, `{ op: 'setDelete', value }` or `{ op: 'clear' }`, and `inverse` is
+     * the list of mutations that would undo it.
+     */
+    watch(collection, handler) {
+        collection[onMutation] = handler;
+    },
+    
+    /**
+     * Finds the path to `target` within `root`, or returns `undefined` if it
+     * isn't there.
+     */
+    pathTo(root, target) {
+        let result;
+        visitCollections(root, [], (collection, path) => {
+            if (collection === target && typeof result === 'undefined') {
+                result = path;
+            }
+        });
+        
+        return result;
+    }
+};
+
+function isTracked(collection) {
+    return collection instanceof TrackedMap ||
+            collection instanceof TrackedSet;
+}
+
+/**
+ * Calls `visit(collection, path)` for each `Map` or `Set` reachable from
+ * `value` through plain objects and arrays.
+ */
+function visitCollections(value, path, visit) {
+    visitObjects(value, path, (object, path) => {
+        if (object instanceof Map || object instanceof Set) {
+            visit(object, path);
+        }
+    });
+}
+
+/**
+ * Calls `visit(object, path)` for each object other than a plain object or
+ * an array reachable from `value` through plain objects and arrays.
+ */
+function visitObjects(value, path, visit) {
+    if (isRevoked(value)) {
+        // Taken from `data` and since replaced there, so anything we'd find
+        // inside was already tracked.
+        return;
+    }
+    
+    if (Array.isArray(value)) {
+        value.forEach((element, i) => {
+            visitObjects(element, path.concat([i]), visit);
+        });
+    }
+    else if (isPlainObject(value)) {
+        Object.keys(value).forEach(key => {
+            visitObjects(value[key], path.concat([key]), visit);
+        });
+    }
+    else if (value !== null && typeof value === 'object') {
+        visit(value, path);
+    }
+}
+
+/**
+ * Dates are already left alone by object-observer.
+ */
+function isOpaque(value) {
+    return value !== null && typeof value === 'object' &&
+            !Array.isArray(value) && !isPlainObject(value) &&
+            !(value instanceof Map || value instanceof Set ||
+                    value instanceof Date) &&
+            !isMarked(value);
+}
+
+function isMarked(opaque) {
+    return Object.prototype.hasOwnProperty.call(opaque, 'constructor') &&
+            opaque.constructor === Function;
+}
+
+/**
+ * Returns a copy of `opaque` made with `serialization`, marked so that
+ * object-observer leaves it be, or admitted if it isn't opaque itself.
+ */
+function markedCopy(opaque, serialization) {
+    const copy = serialization.deserialize(serialization.serialize(opaque));
+    if (!isOpaque(copy)) {
+        return module.exports.admit(copy, serialization);
+    }
+    
+    if (!Object.isExtensible(copy)) {
+        throw new Error(`Copies of ${opaque.constructor.name} can't be ` +
+                'put in data, since they are realized frozen.');
+    }
+    
+    Object.defineProperty(copy, 'constructor', {
+        value: Function,
+        writable: true,
+        configurable: true
+    });
+    
+    return copy;
+}
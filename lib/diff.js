@@ -0,0 +1,132 @@
+const { withPath } = require('./paths');
+const { isPlainObject, isPrimitive } = require('./values');
+
+module.exports = {
+    /**
+     * Returns the changes that turn `before` into `after`, described the way
+     * object-observer describes changes to `data`: each is an `insert`,
+     * `update` or `delete` of the field at `path`, or a `splice` of the array
+     * at `path` with `index`, `deleteCount` and the elements to insert as
+     * `value`.  Paths begin with `path`.  Made in order, the changes leave
+     * `before` equal to `after`.
+     *
+     * Plain objects and arrays are compared field by field and element by
+     * element, and anything else is replaced if it serializes differently
+     * with `serialize`.  Elements that are the same at the start and end of
+     * two arrays are left alone, so inserting or removing elements in the
+     * middle of one doesn't touch the rest.
+     */
+    diff(before, after, serialize, path = []) {
+        const changes = [];
+        diffInto(before, after, path, serialize, changes);
+        return changes;
+    },
+    
+    /**
+     * Makes `changes`, as returned by `diff()`, to `target`.
+     */
+    applyChanges(target, changes) {
+        changes.forEach(change => {
+            if (change.type === 'splice') {
+                withPath(target, change.path).splice(
+                        change.index, change.deleteCount, ...change.value);
+                return;
+            }
+            
+            const parent = withPath(target, change.path.slice(0, -1));
+            const segment = change.path[change.path.length - 1];
+            
+            if (change.type === 'delete') {
+                delete parent[segment];
+            }
+            else {
+                parent[segment] = change.value;
+            }
+        });
+    }
+};
+
+function diffInto(before, after, path, serialize, changes) {
+    if (Array.isArray(before) && Array.isArray(after)) {
+        diffArrays(before, after, path, serialize, changes);
+    }
+    else if (isPlainObject(before) && isPlainObject(after)) {
+        diffObjects(before, after, path, serialize, changes);
+    }
+    else if (!sameLeaf(before, after, serialize)) {
+        changes.push({ type: 'update', path: path, value: after });
+    }
+}
+
+function diffObjects(before, after, path, serialize, changes) {
+    Object.keys(before).forEach(field => {
+        if (!hasField(after, field)) {
+            changes.push({ type: 'delete', path: path.concat([field]) });
+        }
+    });
+    
+    Object.keys(after).forEach(field => {
+        if (hasField(before, field)) {
+            diffInto(before[field], after[field], path.concat([field]),
+                    serialize, changes);
+        }
+        else {
+            changes.push({
+                type: 'insert',
+                path: path.concat([field]),
+                value: after[field]
+            });
+        }
+    });
+}
+
+function diffArrays(before, after, path, serialize, changes) {
+    const same = (a, b) => module.exports.diff(a, b, serialize).length === 0;
+    
+    let start = 0;
+    while (start < before.length && start < after.length &&
+            same(before[start], after[start])) {
+        start++;
+    }
+    
+    let beforeEnd = before.length;
+    let afterEnd = after.length;
+    while (beforeEnd > start && afterEnd > start &&
+            same(before[beforeEnd - 1], after[afterEnd - 1])) {
+        beforeEnd--;
+        afterEnd--;
+    }
+    
+    // Whatever is left in the middle is changed element by element as far
+    // as both arrays go, and then spliced.
+    const common = Math.min(beforeEnd, afterEnd) - start;
+    for (let i = start; i < start + common; i++) {
+        diffInto(before[i], after[i], path.concat([i]), serialize, changes);
+    }
+    
+    if (beforeEnd !== afterEnd) {
+        changes.push({
+            type: 'splice',
+            path: path,
+            index: start + common,
+            deleteCount: beforeEnd - start - common,
+            value: after.slice(start + common, afterEnd)
+        });
+    }
+}
+
+function sameLeaf(a, b, serialize) {
+    if (Object.is(a, b)) {
+        return true;
+    }
+    
+    if (isPrimitive(a) || isPrimitive(b)) {
+        return false;
+    }
+    
+    return JSON.stringify(serialize(a)) === JSON.stringify(serialize(b));
+}
+
+function hasField(o, field) {
+    return Object.prototype.hasOwnProperty.call(o, field);
+}
@@ -0,0 +1,57 @@
+const { isPlainObject } = require('./values');
+
+// object-observer copies what's put in `data` before we hear about it, and
+// when an array's `push()`, `unshift()`, `splice()` or `fill()` puts it
+// there, all we ever see is the copy.  So the `data` we hand out is a proxy
+// of the real thing that makes values ready for it first.
+
+module.exports = {
+    /**
+     * Returns a proxy of observed object `target` through which each value
+     * assigned to a field, or put in an array with one of its methods, is
+     * passed through `admit(value)` and the result put in its place.  Objects
+     * and arrays read through the proxy are proxied the same way.
+     */
+    guarded(target, admit) {
+        return guard(target, admit, new WeakMap());
+    }
+};
+
+// For each array method that puts values in an array, maps its arguments
+// to those it should be called with.
+var admittedArguments = {
+    push: (args, admit) => args.map(value => admit(value)),
+    unshift: (args, admit) => args.map(value => admit(value)),
+    splice: (args, admit) => args.slice(0, 2)
+            .concat(args.slice(2).map(value => admit(value))),
+    fill: (args, admit) => [admit(args[0])].concat(args.slice(1))
+};
+
+/**
+ * Returns the proxy of `target`, remembered in `guards` so that reading the
+ * same object twice gives the same proxy.
+ */
+function guard(target, admit, guards) {
+    if (!guards.has(target)) {
+        guards.set(target, new Proxy(target, {
+            get(target, key) {
+                const value = target[key];
+                
+                if (Array.isArray(target) && Object.prototype.hasOwnProperty
+                        .call(admittedArguments, key)) {
+                    return (...args) => value.apply(target,
+                            admittedArguments[key](args, admit));
+                }
+                
+                return Array.isArray(value) || isPlainObject(value)
+                        ? guard(value, admit, guards) : value;
+            },
+            
+            set(target, key, value) {
+                return Reflect.set(target, key, admit(value));
+            }
+        }));
+    }
+    
+    return guards.get(target);
+}
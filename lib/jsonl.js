@@ -0,0 +1,29 @@
+const fs = require('fs');
+
+module.exports = {
+    /**
+     * Reads the values in newline-delimited JSON file `file`.  A crash while
+     * appending to it can leave a partial last line, which we ignore.
+     */
+    readJsonLines(file) {
+        const lines = fs.readFileSync(file, 'utf8').split('\n');
+        const values = [];
+        
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i] === '') {
+                continue;
+            }
+            
+            try {
+                values.push(JSON.parse(lines[i]));
+            }
+            catch (e) {
+                if (lines.slice(i + 1).some(l => l)) {
+                    throw new Error(`Corrupt ${file} at line ${i + 1}.`);
+                }
+            }
+        }
+        
+        return values;
+    }
+};
@@ -0,0 +1,29 @@
+module.exports = {
+    /**
+     * Builds the `on()` half of an event source supporting only the events in
+     * `eventNames`, along with an `emit()` to fire them.
+     */
+    listenerTable(eventNames) {
+        const listeners = {};
+        eventNames.forEach(eventName => { listeners[eventName] = []; });
+        
+        return {
+            on(eventName, handler) {
+                if (!Object.prototype.hasOwnProperty.call(
+                        listeners, eventName)) {
+                    throw new Error('No such event: ' + eventName);
+                }
+                
+                listeners[eventName].push(handler);
+            },
+            
+            emit(eventName, ...args) {
+                listeners[eventName].forEach(handler => { handler(...args); });
+            },
+            
+            has(eventName) {
+                return listeners[eventName].length > 0;
+            }
+        };
+    }
+};
@@ -0,0 +1,162 @@
+const { applyArrayOp } = require('./arrays');
+const { spliceText } = require('./collaboration');
+
+/**
+ * Everyone who keeps a copy of root keys by following the messages we send
+ * to clients applies them here: clients to their replicas, stores to what
+ * they restore (see lib/persistence.js), and servers to the keys they
+ * replicate from others over a backplane.  Each keeps its copies in a `Map`
+ * from root key to value.
+ */
+module.exports = {
+    /**
+     * Makes the change described by `message`, which may be a `batch`, to
+     * the values in `roots`, using `deserialize` to take values off the
+     * wire.
+     */
+    applyMessage(roots, message, deserialize) {
+        const messages = message.op === 'batch'
+                ? message.messages.map(
+                        inner => Object.assign({ key: message.key }, inner))
+                : [message];
+        
+        messages.forEach(message => {
+            const value = typeof message.value === 'undefined'
+                    ? undefined : deserialize(message.value);
+            const entry = typeof message.entry === 'undefined'
+                    ? undefined : deserialize(message.entry);
+            
+            module.exports.applyOp(roots, message, value, entry);
+        });
+    },
+    
+    /**
+     * Makes the change described by `message`, which isn't a `batch`, to the
+     * values in `roots`, where `value` and `entry` are the message's own
+     * taken off the wire.  Changes to keys that aren't in `roots` are
+     * ignored, unless they set the whole of the key.
+     */
+    applyOp(roots, message, value, entry) {
+        ops[message.op](roots, message, value, entry);
+    },
+    
+    /**
+     * Whether or not `message` is one `applyOp()` understands.
+     */
+    isOp(message) {
+        return Object.prototype.hasOwnProperty.call(ops, message.op);
+    }
+};
+
+var ops = {
+    init(roots, message, value) {
+        roots.set(message.key, value);
+    },
+    insert(roots, message, value) {
+        applyAtPath(roots, message, (parent, segment) => {
+            if (Array.isArray(parent)) {
+                parent.splice(segment, 0, value);
+            }
+            else {
+                parent[segment] = value;
+            }
+        }, () => value);
+    },
+    update(roots, message, value) {
+        applyAtPath(roots, message, (parent, segment) => {
+            parent[segment] = value;
+        }, () => value);
+    },
+    delete(roots, message) {
+        applyAtPath(roots, message, (parent, segment) => {
+            if (Array.isArray(parent)) {
+                parent.splice(segment, 1);
+            }
+            else {
+                delete parent[segment];
+            }
+        }, () => undefined);
+    },
+    finalize(roots, message) {
+        roots.delete(message.key);
+    },
+    closed(roots, message) {
+        roots.delete(message.key);
+    },
+    denied() {
+        // The server refused to link us, so there's nothing to update.
+    },
+    batch() {
+        // Applied message by message.
+    },
+    mapSet(roots, message, value, entry) {
+        applyToValue(roots, message, map => { map.set(entry, value); });
+    },
+    mapDelete(roots, message, value, entry) {
+        applyToValue(roots, message, map => { map.delete(entry); });
+    },
+    setAdd(roots, message, value) {
+        applyToValue(roots, message, set => { set.add(value); });
+    },
+    setDelete(roots, message, value) {
+        applyToValue(roots, message, set => { set.delete(value); });
+    },
+    clear(roots, message) {
+        applyToValue(roots, message, collection => {
+            collection.clear();
+        });
+    },
+    textSplice(roots, message, value) {
+        const splice = text => spliceText(
+                text, message.index, message.deleteCount, value);
+        
+        applyAtPath(roots, message, (parent, segment) => {
+            parent[segment] = splice(parent[segment]);
+        }, () => splice(roots.get(message.key)));
+    }
+};
+
+['splice', 'reverse', 'move', 'permute'].forEach(op => {
+    ops[op] = (roots, message, value) => {
+        applyToValue(roots, message, array => {
+            applyArrayOp(array, message, value);
+        });
+    };
+});
+
+/**
+ * Passes the value at `message.path` in the value of `message.key`, which
+ * must be a `Map`, `Set` or array, to `f`.
+ */
+function applyToValue(roots, message, f) {
+    if (!roots.has(message.key)) {
+        return;
+    }
+    
+    let target = roots.get(message.key);
+    message.path.forEach(segment => {
+        target = target[segment];
+    });
+    
+    f(target);
+}
+
+/**
+ * Locates the parent of the value at `message.path` in the value of
+ * `message.key` and passes it to `applyToParent` along with the final path
+ * segment.  Messages with an empty path instead set the entire value of the
+ * key to the result of `replaceRoot`.
+ */
+function applyAtPath(roots, message, applyToParent, replaceRoot) {
+    if (message.path.length === 0) {
+        roots.set(message.key, replaceRoot());
+    }
+    else if (roots.has(message.key)) {
+        let parent = roots.get(message.key);
+        message.path.slice(0, -1).forEach(segment => {
+            parent = parent[segment];
+        });
+        
+        applyToParent(parent, message.path[message.path.length - 1]);
+    }
+}
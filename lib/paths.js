@@ -0,0 +1,37 @@
+module.exports = {
+    withPath(d, path) {
+        let cursor = d;
+        path.forEach(segment => {
+            if (typeof segment !== undefined) {
+                cursor = cursor[segment];
+            }
+        });
+        
+        return cursor;
+    },
+    
+    /**
+     * Like `withPath()`, but returns `undefined` rather than throwing when
+     * some part of `path` doesn't exist.
+     */
+    lookup(d, path) {
+        let cursor = d;
+        for (let i = 0; i < path.length; i++) {
+            if (cursor === null || typeof cursor !== 'object') {
+                return undefined;
+            }
+            
+            cursor = cursor[path[i]];
+        }
+        
+        return cursor;
+    },
+    
+    /**
+     * Whether or not `path` is `prefix` or one of its descendants.
+     */
+    startsWith(path, prefix) {
+        return prefix.length <= path.length &&
+                prefix.every((segment, i) => `${segment}` === `${path[i]}`);
+    }
+};
@@ -0,0 +1,54 @@
+/**
+ * Root key patterns are globs: `*` matches any run of characters, `?` matches
+ * any single character and everything else matches itself.
+ */
+module.exports = {
+    isPattern(s) {
+        return /[*?]/.test(s);
+    },
+    
+    compilePattern(pattern) {
+        return key => matches(pattern, key);
+    }
+};
+
+/**
+ * Clients can send us patterns, so rather than a backtracking regular
+ * expression, which a pattern like `*a*a*a*b` can keep busy for ages, we
+ * match greedily and on a mismatch only ever retry from the last `*`.  That
+ * takes at most `pattern.length * key.length` steps.
+ */
+function matches(pattern, key) {
+    let p = 0;
+    let k = 0;
+    let star = -1;
+    let starKey = 0;
+    
+    while (k < key.length) {
+        if (p < pattern.length && pattern[p] === '*') {
+            star = p;
+            starKey = k;
+            p++;
+        }
+        else if (p < pattern.length &&
+                (pattern[p] === '?' || pattern[p] === key[k])) {
+            p++;
+            k++;
+        }
+        else if (star !== -1) {
+            // Let the last `*` take one more character and try again.
+            p = star + 1;
+            starKey++;
+            k = starKey;
+        }
+        else {
+            return false;
+        }
+    }
+    
+    while (p < pattern.length && pattern[p] === '*') {
+        p++;
+    }
+    
+    return p === pattern.length;
+}
@@ -0,0 +1,34 @@
+const { applyMessage } = require('./messages');
+
+/**
+ * A store remembers `data` across restarts.  It must provide:
+ *
+ * - `load()`, which synchronously returns `{ snapshot, log }`, where
+ *   `snapshot` is the serialized value of `data` as last passed to
+ *   `snapshot()`, or `undefined` if there hasn't been one, and `log` lists
+ *   the messages passed to `append()` since.
+ * - `append(message)`, which records a message describing a change to
+ *   `data` and returns `true` if the store would like a fresh snapshot.
+ * - `snapshot(value)`, which records serialized `value` as the whole of
+ *   `data`, after which earlier messages are no longer needed.
+ *
+ * Messages are the same ones we send to clients, so they are plain JSON with
+ * their values serialized, and are applied just as clients apply them (see
+ * lib/messages.js).
+ */
+module.exports = {
+    /**
+     * Rebuilds the plain value of `data` from what a store's `load()`
+     * returned, using `deserialize` to take values off the wire.
+     */
+    restore({ snapshot, log }, deserialize) {
+        const roots = new Map(typeof snapshot === 'undefined'
+                ? [] : Object.entries(deserialize(snapshot)));
+        
+        log.forEach(message => { applyMessage(roots, message, deserialize); });
+        
+        const root = {};
+        roots.forEach((value, key) => { root[key] = value; });
+        return root;
+    }
+};
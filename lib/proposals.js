@@ -0,0 +1,263 @@
+const { spliceText } = require('./collaboration');
+
+/**
+ * Changes a client may propose to a root key, keyed by the proposal's `type`.
+ * Each knows how to put itself on the wire, how to take itself back off, and
+ * how to apply itself to the server's data.  Paths are relative to the root
+ * key, just as in the messages the server sends.  Values are put on the wire
+ * with the `serialize` and taken off with the `deserialize` of the
+ * serialization in use.
+ */
+const proposalTypes = {
+    set: {
+        describe: (op, { serialize }) => ({
+            type: 'set',
+            path: op.path,
+            value: serialize(op.value)
+        }),
+        realize: (m, { deserialize }) => ({
+            type: 'set',
+            path: m.path,
+            value: deserialize(m.value)
+        }),
+        apply(data, key, op) {
+            if (op.path.length === 0) {
+                data[key] = op.value;
+            }
+            else {
+                const parent = parentOf(data[key], op.path);
+                const segment = lastSegment(op.path);
+                
+                if (Array.isArray(parent)) {
+                    // Growing an array is what `insert` is for.
+                    requireIndex(segment, parent.length - 1);
+                }
+                
+                parent[segment] = op.value;
+            }
+        }
+    },
+    insert: {
+        describe: (op, { serialize }) => ({
+            type: 'insert',
+            path: op.path,
+            value: serialize(op.value)
+        }),
+        realize: (m, { deserialize }) => ({
+            type: 'insert',
+            path: m.path,
+            value: deserialize(m.value)
+        }),
+        apply(data, key, op) {
+            const parent = parentOf(data[key], op.path);
+            const segment = lastSegment(op.path);
+            
+            if (Array.isArray(parent)) {
+                requireIndex(segment, parent.length);
+                parent.splice(segment, 0, op.value);
+            }
+            else {
+                parent[segment] = op.value;
+            }
+        }
+    },
+    delete: {
+        describe: op => ({ type: 'delete', path: op.path }),
+        realize: m => ({ type: 'delete', path: m.path }),
+        apply(data, key, op) {
+            const parent = parentOf(data[key], op.path);
+            const segment = lastSegment(op.path);
+            
+            if (Array.isArray(parent)) {
+                requireIndex(segment, parent.length - 1);
+                parent.splice(segment, 1);
+            }
+            else {
+                if (!hasOwn(parent, segment)) {
+                    throw new Error('No such field: ' + segment);
+                }
+                
+                delete parent[segment];
+            }
+        }
+    },
+    splice: {
+        describe: (op, { serialize }) => ({
+            type: 'splice',
+            path: op.path,
+            start: op.start,
+            deleteCount: op.deleteCount,
+            items: (op.items || []).map(serialize)
+        }),
+        realize: (m, { deserialize }) => ({
+            type: 'splice',
+            path: m.path,
+            start: m.start,
+            deleteCount: m.deleteCount,
+            items: (m.items || []).map(deserialize)
+        }),
+        apply(data, key, op) {
+            const array = op.path.length === 0
+                    ? data[key]
+                    : parentOf(data[key], op.path)[lastSegment(op.path)];
+            
+            if (!Array.isArray(array)) {
+                throw new Error('Not an array.');
+            }
+            
+            requireIndex(op.start, array.length);
+            requireIndex(op.deleteCount, array.length - op.start);
+            
+            array.splice(op.start, op.deleteCount, ...op.items);
+        }
+    },
+    
+    // A splice of a collaborative string or array (see
+    // lib/collaboration.js), made against `version` of the root key.  For a
+    // string, `items` is the text to insert.
+    edit: {
+        describe: (op, { serialize }) => ({
+            type: 'edit',
+            path: op.path,
+            version: op.version,
+            start: op.start,
+            deleteCount: op.deleteCount,
+            items: typeof op.items === 'string'
+                    ? op.items : (op.items || []).map(serialize)
+        }),
+        realize(m, { deserialize }) {
+            if (!Number.isInteger(m.version)) {
+                throw new Error('Invalid version: ' + m.version);
+            }
+            
+            return {
+                type: 'edit',
+                path: m.path,
+                version: m.version,
+                start: m.start,
+                deleteCount: m.deleteCount,
+                items: typeof m.items === 'string'
+                        ? m.items : (m.items || []).map(deserialize)
+            };
+        },
+        apply(data, key, op) {
+            const value = op.path.length === 0
+                    ? data[key]
+                    : parentOf(data[key], op.path)[lastSegment(op.path)];
+            
+            if (typeof value !== 'string') {
+                proposalTypes.splice.apply(data, key, op);
+                return;
+            }
+            
+            if (typeof op.items !== 'string') {
+                throw new Error('Text must be inserted into a string.');
+            }
+            
+            requireIndex(op.start, value.length);
+            requireIndex(op.deleteCount, value.length - op.start);
+            
+            const text = spliceText(value, op.start, op.deleteCount, op.items);
+            if (op.path.length === 0) {
+                data[key] = text;
+            }
+            else {
+                parentOf(data[key], op.path)[lastSegment(op.path)] = text;
+            }
+        }
+    }
+};
+
+module.exports = {
+    /**
+     * Converts a proposed change into the form a client puts on the wire.
+     */
+    describeProposal(op, serialization) {
+        return typeFor(op).describe(op, serialization);
+    },
+    
+    /**
+     * The inverse of `describeProposal()`.  Throws if the description isn't
+     * well-formed.
+     */
+    realizeProposal(description, serialization) {
+        if (description === null || typeof description !== 'object' ||
+                !Array.isArray(description.path)) {
+            throw new Error('Malformed proposal.');
+        }
+        
+        return typeFor(description).realize(description, serialization);
+    },
+    
+    /**
+     * Applies the proposed change `op` to root key `key` of `data`, throwing
+     * if it doesn't make sense against the current value.
+     */
+    applyProposal(data, key, op) {
+        if (typeof data[key] === 'undefined') {
+            throw new Error('No such key: ' + key);
+        }
+        
+        typeFor(op).apply(data, key, op);
+    }
+};
+
+function typeFor(op) {
+    const type = hasOwn(proposalTypes, op.type) && proposalTypes[op.type];
+    if (!type) {
+        throw new Error('Unknown proposal type: ' + op.type);
+    }
+    
+    return type;
+}
+
+/**
+ * Finds the container that holds the last segment of `path`.  Only own
+ * properties are followed, so proposals can't reach into prototypes.
+ */
+function parentOf(root, path) {
+    if (path.length === 0) {
+        throw new Error('Path must not be empty.');
+    }
+    
+    let cursor = root;
+    path.slice(0, -1).forEach(segment => {
+        requireSegment(segment);
+        
+        if (cursor === null || typeof cursor !== 'object' ||
+                !hasOwn(cursor, segment)) {
+            throw new Error('No such path: ' + JSON.stringify(path));
+        }
+        
+        cursor = cursor[segment];
+    });
+    
+    if (cursor === null || typeof cursor !== 'object') {
+        throw new Error('No such path: ' + JSON.stringify(path));
+    }
+    
+    requireSegment(lastSegment(path));
+    
+    return cursor;
+}
+
+function lastSegment(path) {
+    return path[path.length - 1];
+}
+
+function requireSegment(segment) {
+    if ((typeof segment !== 'string' && !Number.isInteger(segment)) ||
+            segment === '__proto__') {
+        throw new Error('Invalid path segment: ' + segment);
+    }
+}
+
+function requireIndex(i, max) {
+    if (!Number.isInteger(i) || i < 0 || i > max) {
+        throw new Error('Invalid index: ' + i);
+    }
+}
+
+function hasOwn(o, key) {
+    return Object.prototype.hasOwnProperty.call(o, key);
+}
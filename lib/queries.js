@@ -0,0 +1,130 @@
+/**
+ * A query picks a window of records out of a collection: the elements of an
+ * array, the values of a `Map`, or the field values of a plain object.  It
+ * is an object with any of:
+ *
+ * - `where`, either a predicate taking a record, or an object whose fields
+ *   records must have, with the same values.
+ * - `sort`, either a comparator taking two records, or a list of fields to
+ *   sort by, each either a field name or a `[field, 'asc' | 'desc']` pair.
+ * - `limit`, the most records to include.
+ *
+ * Queries that clients send us can only use the declarative forms, since
+ * functions can't be put on the wire.
+ */
+module.exports = {
+    /**
+     * Returns a function from a collection to the array of records `query`
+     * picks out of it, or throws if `query` isn't a valid query.
+     */
+    compileQuery(query) {
+        if (query === null || typeof query !== 'object') {
+            throw new Error('Query must be an object.  Was: ' + query);
+        }
+        
+        const { where, sort, limit } = query;
+        const matches = compileWhere(where);
+        const compare = compileSort(sort);
+        
+        if (typeof limit !== 'undefined' &&
+                !(Number.isInteger(limit) && limit >= 0)) {
+            throw new Error('Query limit must be a non-negative integer.  ' +
+                    'Was: ' + limit);
+        }
+        
+        return collection => {
+            let result = records(collection).filter(matches);
+            
+            if (typeof compare !== 'undefined') {
+                result.sort(compare);
+            }
+            
+            if (typeof limit !== 'undefined') {
+                result = result.slice(0, limit);
+            }
+            
+            return result;
+        };
+    }
+};
+
+function records(collection) {
+    if (Array.isArray(collection)) {
+        return collection.slice();
+    }
+    
+    if (collection instanceof Map) {
+        return [...collection.values()];
+    }
+    
+    if (collection !== null && typeof collection === 'object') {
+        return Object.keys(collection).map(key => collection[key]);
+    }
+    
+    return [];
+}
+
+function compileWhere(where) {
+    if (typeof where === 'undefined') {
+        return () => true;
+    }
+    
+    if (typeof where === 'function') {
+        return where;
+    }
+    
+    if (where === null || typeof where !== 'object') {
+        throw new Error('Query where must be a function or an object.  ' +
+                'Was: ' + where);
+    }
+    
+    const fields = Object.keys(where);
+    return record => record !== null && typeof record === 'object' &&
+            fields.every(field => record[field] === where[field]);
+}
+
+function compileSort(sort) {
+    if (typeof sort === 'undefined' || typeof sort === 'function') {
+        return sort;
+    }
+    
+    if (!Array.isArray(sort)) {
+        throw new Error('Query sort must be a function or an array.  Was: ' +
+                sort);
+    }
+    
+    const orderings = sort.map(ordering => {
+        const [field, direction = 'asc'] =
+                Array.isArray(ordering) ? ordering : [ordering];
+        
+        if (typeof field !== 'string' ||
+                (direction !== 'asc' && direction !== 'desc')) {
+            throw new Error('Invalid query sort: ' + JSON.stringify(sort));
+        }
+        
+        return { field, sign: direction === 'asc' ? 1 : -1 };
+    });
+    
+    return (a, b) => {
+        for (let i = 0; i < orderings.length; i++) {
+            const { field, sign } = orderings[i];
+            const x = fieldOf(a, field);
+            const y = fieldOf(b, field);
+            
+            if (x < y) {
+                return -sign;
+            }
+            
+            if (x > y) {
+                return sign;
+            }
+        }
+        
+        return 0;
+    };
+}
+
+function fieldOf(record, field) {
+    return record !== null && typeof record === 'object'
+            ? record[field] : undefined;
+}
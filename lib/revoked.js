@@ -0,0 +1,59 @@
+const { isPlainObject } = require('./values');
+
+// When a value in `data` is replaced, object-observer revokes the proxies
+// that made up the old value.  A new value built from parts of the old one,
+// as in `data.foo = { ...data.foo, bar: 1 }`, still holds those proxies, so
+// by the time we see the change, parts of its value can't be read.
+
+module.exports = {
+    /**
+     * Whether or not `value` is a revoked proxy.
+     */
+    isRevoked(value) {
+        if (value === null || typeof value !== 'object') {
+            return false;
+        }
+        
+        try {
+            Array.isArray(value);
+            return false;
+        }
+        catch (e) {
+            return true;
+        }
+    },
+    
+    /**
+     * Returns `value`, the value of a change as given to object-observer,
+     * with any revoked parts replaced by their counterparts in `current`,
+     * the value as it now stands in `data`.  `value` itself is returned if
+     * nothing in it was revoked.
+     */
+    withoutRevoked(value, current) {
+        if (module.exports.isRevoked(value)) {
+            return current;
+        }
+        
+        if (!Array.isArray(value) && !isPlainObject(value)) {
+            return value;
+        }
+        
+        let result = value;
+        Object.keys(value).forEach(key => {
+            const child = module.exports.withoutRevoked(value[key],
+                    current === null || typeof current !== 'object'
+                            ? undefined : current[key]);
+            
+            if (child !== value[key]) {
+                if (result === value) {
+                    result = Array.isArray(value)
+                            ? value.slice() : Object.assign({}, value);
+                }
+                
+                result[key] = child;
+            }
+        });
+        
+        return result;
+    }
+};
@@ -0,0 +1,136 @@
+const Sejr = require('@shieldsbetter/sejr');
+
+const typedArrays = [
+    Int8Array,
+    Uint8Array,
+    Uint8ClampedArray,
+    Int16Array,
+    Uint16Array,
+    Int32Array,
+    Uint32Array,
+    Float32Array,
+    Float64Array,
+    BigInt64Array,
+    BigUint64Array
+];
+
+const builtInTypeDefinitions = {
+    'undefined': {
+        describe: v => undefined,
+        realize: {
+            fromUndefined: () => {}
+        }
+    },
+    'Date': {
+        // Invalid dates have a time of NaN, which JSON can't represent.
+        describe: d => isNaN(d.getTime()) ? null : d.getTime(),
+        realize: {
+            fromNumber: n => new Date(n),
+            fromNull: () => new Date(NaN)
+        }
+    },
+    'Map': {
+        describe: m => [...m.entries()],
+        realize: {
+            fromArray: entries => new Map(entries)
+        }
+    },
+    'Set': {
+        describe: s => [...s.values()],
+        realize: {
+            fromArray: values => new Set(values)
+        }
+    },
+    'BigInt': {
+        describe: b => b.toString(),
+        realize: {
+            fromString: s => BigInt(s)
+        }
+    }
+};
+
+typedArrays.forEach(TypedArray => {
+    builtInTypeDefinitions[TypedArray.name] = {
+        describe: a => Array.from(a),
+        realize: {
+            fromArray: elements => TypedArray.from(elements)
+        }
+    };
+});
+
+function builtInClientType(v, pfn) {
+    switch (typeof v) {
+        case 'boolean':
+        case 'number':
+        case 'string': {
+            return pfn(v);
+        }
+        case 'bigint': {
+            return 'BigInt';
+        }
+        case 'object': {
+            if (v instanceof Date) {
+                return 'Date';
+            }
+            
+            if (v instanceof Map) {
+                return 'Map';
+            }
+            
+            if (v instanceof Set) {
+                return 'Set';
+            }
+            
+            const typedArray = typedArrays.find(t => v instanceof t);
+            if (typedArray) {
+                return typedArray.name;
+            }
+            
+            return pfn(v);
+        }
+        default: {
+            return 'undefined'
+        }
+    }
+}
+
+/**
+ * Builds the `serialize()` and `deserialize()` used to put values on the
+ * wire.  Besides plain JSON, they understand `undefined`, `Date`, `Map`,
+ * `Set`, `BigInt` and typed arrays.  Other values that JSON can't represent,
+ * like functions and symbols, become `undefined`.
+ *
+ * `clientType` and `typeDefinitions` add types of our own, just as in sejr,
+ * except that the function `clientType` is passed to fall back on
+ * understands our built-in types too.  Definitions in `typeDefinitions` take
+ * precedence over ours.  Clients and servers must agree on them.
+ */
+function buildSerialization({ clientType, typeDefinitions } = {}) {
+    const sejr = new Sejr({
+        clientType: typeof clientType === 'undefined'
+                ? builtInClientType
+                : (v, pfn) => clientType(v, v2 => builtInClientType(v2, pfn)),
+        typeDefinitions: Object.assign(
+                {}, builtInTypeDefinitions, typeDefinitions)
+    });
+    
+    return {
+        serialize(o) {
+            return sejr.describe(o);
+        },
+        
+        deserialize(s) {
+            return sejr.realize(s);
+        }
+    };
+}
+
+// Values that need no custom types, such as a serialized `undefined`, can be
+// handled without knowing which types are in play.
+const builtIns = buildSerialization();
+
+module.exports = {
+    buildSerialization: buildSerialization,
+    serialize: builtIns.serialize,
+    deserialize: builtIns.deserialize
+};
@@ -0,0 +1,317 @@
+const { withPath } = require('./paths');
+
+/**
+ * With the server's `undoLimit` option, we remember how to undo the last few
+ * steps taken with each root key, where a step is a single change to `data`
+ * or everything a transaction did to that key.  Each step is kept as the list
+ * of inverses that undo its changes, in the order they were made:
+ *
+ * - `update`, `insert` and `delete`, which set or delete the field at
+ *   `path`, and `splice`, with `index`, `deleteCount` and the elements to
+ *   insert as `value`, just like the changes in lib/diff.js.  Values are kept
+ *   serialized, so later changes can't reach them.
+ * - `reverse`, which reverses the array at `path`.
+ * - `order`, which sorts the array at `path` so that its element at each
+ *   index `i` ends up back at `order[i]`.
+ * - `collection`, which makes `mutations` (see lib/collections.js) to the
+ *   tracked collection at `path`.  Changes to a collection held in another
+ *   can't be undone.
+ *
+ * Undoing a step makes its inverses to `data` in reverse order, so
+ * subscribers hear about it like any other change.  Paths begin with the
+ * root key.
+ */
+module.exports = {
+    /**
+     * Returns the inverse of object-observer change `change`, whose array
+     * deletes have been rebased, `undefined` if we can't tell how to undo
+     * it, or `null` if it didn't change anything.  `arrays` are the
+     * `ArrayShadows` from lib/arrays.js, brought up to date with the changes
+     * before this one but not with this one.
+     */
+    inverseOf(change, data, serialize, arrays) {
+        const path = change.path;
+        const parent = withPath(data, path.slice(0, -1));
+        const index = path[path.length - 1];
+        
+        switch (change.type) {
+            case 'insert': {
+                return Array.isArray(parent)
+                        ? spliceInverse(path, index, 1, [])
+                        : { type: 'delete', path: path };
+            }
+            case 'update': {
+                return {
+                    type: 'update',
+                    path: path,
+                    value: serialize(change.oldValue)
+                };
+            }
+            case 'delete': {
+                // object-observer reports deleting a field that isn't there,
+                // popping an empty array and splicing past the end of one
+                // just as it does real deletes.  We can't tell a missing
+                // field from one set to `undefined`, and treat both alike.
+                if (Array.isArray(parent)) {
+                    const length = arrays.length(parent);
+                    return index < 0 ||
+                            (typeof length !== 'undefined' && index >= length)
+                            ? null
+                            : spliceInverse(path, index, 0,
+                                    [serialize(change.oldValue)]);
+                }
+                
+                return typeof change.oldValue === 'undefined'
+                        ? null
+                        : {
+                            type: 'insert',
+                            path: path,
+                            value: serialize(change.oldValue)
+                        };
+            }
+            case 'reverse': {
+                return { type: 'reverse', path: path };
+            }
+            case 'shuffle': {
+                const order = arrays.order(withPath(data, path));
+                return typeof order === 'undefined'
+                        ? undefined
+                        : { type: 'order', path: path, order: order };
+            }
+            default: {
+                return undefined;
+            }
+        }
+    },
+    
+    /**
+     * Makes inverse `inverse` to `data`.
+     */
+    applyInverse(data, inverse, deserialize) {
+        inverseTypes[inverse.type](data, inverse, deserialize);
+    },
+    
+    /**
+     * Builds the `UndoHistory` below, remembering `limit` steps per root key.
+     */
+    undoHistory(limit) {
+        return new UndoHistory(limit);
+    }
+};
+
+function spliceInverse(path, index, deleteCount, value) {
+    return {
+        type: 'splice',
+        path: path.slice(0, -1),
+        index: index,
+        deleteCount: deleteCount,
+        value: value
+    };
+}
+
+var inverseTypes = {
+    update(data, { path, value }, deserialize) {
+        withPath(data, path.slice(0, -1))[path[path.length - 1]] =
+                deserialize(value);
+    },
+    insert(data, inverse, deserialize) {
+        inverseTypes.update(data, inverse, deserialize);
+    },
+    delete(data, { path }) {
+        delete withPath(data, path.slice(0, -1))[path[path.length - 1]];
+    },
+    splice(data, { path, index, deleteCount, value }, deserialize) {
+        withPath(data, path).splice(
+                index, deleteCount, ...value.map(deserialize));
+    },
+    reverse(data, { path }) {
+        withPath(data, path).reverse();
+    },
+    order(data, { path, order }) {
+        // Equal primitives are interchangeable, so it doesn't matter which
+        // of their old indices they're ranked by.
+        const array = withPath(data, path);
+        const ranks = new Map(array.map((element, i) => [element, order[i]]));
+        array.sort((a, b) => ranks.get(a) - ranks.get(b));
+    },
+    collection(data, { path, mutations }) {
+        const collection = withPath(data, path);
+        mutations.forEach(mutation => {
+            switch (mutation.op) {
+                case 'mapSet': {
+                    collection.set(mutation.entry, mutation.value);
+                    break;
+                }
+                case 'mapDelete': {
+                    collection.delete(mutation.entry);
+                    break;
+                }
+                case 'setAdd': {
+                    collection.add(mutation.value);
+                    break;
+                }
+                case 'setDelete': {
+                    collection.delete(mutation.value);
+                    break;
+                }
+                case 'clear': {
+                    collection.clear();
+                    break;
+                }
+            }
+        });
+    }
+};
+
+/**
+ * Keeps the steps that can be undone and redone for each root key, each
+ * tagged with the `version` the key was at before it.  Steps taken while
+ * undoing go on the redo stack, steps taken while redoing go back on the
+ * undo stack, and any other step clears the redo stack.
+ */
+class UndoHistory {
+    constructor(limit) {
+        this.limit = limit;
+        this.undos = new Map();
+        this.redos = new Map();
+        
+        // Maps each root key to the step being built for it while a
+        // transaction is underway.
+        this.open = undefined;
+        this.replaying = undefined;
+    }
+    
+    /**
+     * Starts gathering the steps for a transaction.
+     */
+    begin() {
+        this.open = new Map();
+    }
+    
+    /**
+     * Finishes the steps for the transaction started with `begin()`.
+     */
+    end() {
+        const open = this.open;
+        this.open = undefined;
+        open.forEach((step, key) => { this.commit(key, step); });
+    }
+    
+    /**
+     * Records `inverses` for changes just made to root key `key`, which was
+     * at `version` before the step they're part of.  An `undefined` inverse
+     * means that the change can't be undone, so neither can anything before
+     * it.
+     */
+    record(key, inverses, version) {
+        if (typeof this.open === 'undefined') {
+            this.commit(key, { version, inverses });
+            return;
+        }
+        
+        if (!this.open.has(key)) {
+            this.open.set(key, { version, inverses: [] });
+        }
+        
+        this.open.get(key).inverses.push(...inverses);
+    }
+    
+    /**
+     * Forgets every step taken with `key`, which has been deleted.
+     */
+    forget(key) {
+        this.undos.delete(key);
+        this.redos.delete(key);
+        if (this.open) {
+            this.open.delete(key);
+        }
+    }
+    
+    commit(key, step) {
+        if (step.inverses.some(inverse => typeof inverse === 'undefined')) {
+            this.undos.delete(key);
+            this.redos.delete(key);
+            return;
+        }
+        
+        if (this.replaying === 'undo') {
+            stack(this.redos, key).push(step);
+            return;
+        }
+        
+        if (this.replaying !== 'redo') {
+            this.redos.delete(key);
+        }
+        
+        const undos = stack(this.undos, key);
+        undos.push(step);
+        if (undos.length > this.limit) {
+            undos.splice(0, undos.length - this.limit);
+        }
+    }
+    
+    /**
+     * Undoes the last step taken with `key` by passing its inverses, in the
+     * order they should be made, to `apply()`.  Returns whether or not there
+     * was a step to undo.
+     */
+    undo(key, apply) {
+        return this.replay(this.undos, 'undo', key, apply);
+    }
+    
+    /**
+     * Redoes the last step undone with `key`, just as `undo()` does.
+     */
+    redo(key, apply) {
+        return this.replay(this.redos, 'redo', key, apply);
+    }
+    
+    /**
+     * Undoes every step taken with `key` since it was at `version`, given
+     * that it is now at `current`.  Throws if `version` isn't one that `key`
+     * passed through in the steps we remember.
+     */
+    revertTo(key, version, current, apply) {
+        const undos = stack(this.undos, key);
+        let count = 0;
+        
+        if (version !== current) {
+            const i = undos.findIndex(step => step.version === version);
+            if (i === -1) {
+                throw new Error('Version ' + version + ' of ' + key +
+                        ' is not in its undo history.');
+            }
+            
+            count = undos.length - i;
+        }
+        
+        for (let i = 0; i < count; i++) {
+            this.undo(key, apply);
+        }
+    }
+    
+    replay(stacks, replaying, key, apply) {
+        const step = stack(stacks, key).pop();
+        if (typeof step === 'undefined') {
+            return false;
+        }
+        
+        this.replaying = replaying;
+        try {
+            apply(step.inverses.slice().reverse());
+        }
+        finally {
+            this.replaying = undefined;
+        }
+        
+        return true;
+    }
+}
+
+function stack(stacks, key) {
+    if (!stacks.has(key)) {
+        stacks.set(key, []);
+    }
+    
+    return stacks.get(key);
+}
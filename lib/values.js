@@ -0,0 +1,24 @@
+module.exports = {
+    /**
+     * Whether or not `value` is a plain object rather than an array or an
+     * instance of some class.  Observed objects count, since their proxies
+     * have a prototype of `Object.prototype` too.
+     */
+    isPlainObject(value) {
+        if (value === null || typeof value !== 'object') {
+            return false;
+        }
+        
+        const prototype = Object.getPrototypeOf(value);
+        return prototype === Object.prototype || prototype === null;
+    },
+    
+    /**
+     * Whether or not `value` is a primitive rather than an object or a
+     * function.
+     */
+    isPrimitive(value) {
+        return value === null ||
+                (typeof value !== 'object' && typeof value !== 'function');
+    }
+};
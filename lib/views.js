@@ -0,0 +1,680 @@
+const { serialize: serializeBuiltIns } = require('./serialization');
+const { isArrayOp, movesFor } = require('./arrays');
+const { isArrayResize, shifts, withoutEnvelope } = require('./batches');
+const { lookup, startsWith } = require('./paths');
+const { compileQuery } = require('./queries');
+
+const serializedUndefined = serializeBuiltIns(undefined);
+
+// Marks the messages views build from the root key's current value rather
+// than from the message they were given.  Being a symbol, the mark stays
+// behind when messages are put on the wire.
+const rebuilt = Symbol('rebuilt');
+
+/**
+ * A view decides what a single linked client gets to see of a single root
+ * key.  `init(value)` takes the root key's current value and returns the
+ * serialized value to put in an `init` message, and `delta(message, value)`
+ * takes an outgoing message for the root key along with the root key's
+ * current value and returns the message the client should get instead, or
+ * `undefined` if it shouldn't get one at all.  Views that are not
+ * `replayable` can't be used to replay old messages, so clients catching up
+ * through them need a fresh `init`.
+ *
+ * `projection` is the value the server's `projection` option returned for the
+ * link.  It may be undefined, in which case everything is visible; a function
+ * from the root key's value to the value the client should see; or an object
+ * with either an `allow` or a `deny` list of paths.  Paths are arrays of
+ * segments relative to the root key, where the segment `*` matches any field
+ * or array index.  With `allow`, only the listed paths and their descendants
+ * are visible.  With `deny`, everything except the listed paths and their
+ * descendants is visible.  Hidden object fields are removed and hidden array
+ * elements become `undefined`, so indices remain stable.
+ *
+ * If the client linked to `path` beneath the root key rather than to the
+ * whole thing, the view also takes care of picking out that subtree and
+ * rewriting message paths to be relative to it.  `projection` then applies to
+ * the subtree.
+ *
+ * If the client linked with a `query` (see lib/queries.js), it sees only the
+ * window of records the query picks out of the collection at `path`, as an
+ * array, and `projection` applies to that array.
+ *
+ * Views serialize values with the `serialize` function they are given.
+ */
+module.exports = {
+    buildView(projection, path, serialize, query) {
+        let view = buildProjectionView(projection, serialize);
+        
+        if (typeof query !== 'undefined') {
+            view = new QueryView(compileQuery(query), view, serialize);
+        }
+        
+        return path.length === 0
+                ? view : new SubtreeView(path, view, serialize);
+    },
+    
+    /**
+     * Returns the message `view` sends in place of `batch`, or `undefined`
+     * if it sends nothing.  Since `value` is the root key's value after the
+     * whole batch, a message the view rebuilds from it already includes the
+     * batch's later changes at or beneath its path, and those are dropped
+     * rather than applied twice.  If a later change might move the path to
+     * another element, we can't tell where the rebuilt value belongs, so the
+     * whole value is sent instead.
+     */
+    viewBatch(view, batch, value) {
+        const messages = batch.messages
+                .map(message => view.delta(Object.assign({
+                    key: batch.key,
+                    version: batch.version
+                }, message), value))
+                .filter(message => typeof message !== 'undefined')
+                .flatMap(message => message.op === 'batch'
+                        ? message.messages : [message]);
+        
+        const dropped = new Array(messages.length).fill(false);
+        for (let i = 0; i < messages.length; i++) {
+            if (dropped[i] || !messages[i][rebuilt]) {
+                continue;
+            }
+            
+            const path = messages[i].path;
+            for (let j = i + 1; j < messages.length; j++) {
+                const later = messages[j];
+                
+                if (shifts(later, path)) {
+                    return {
+                        op: 'update',
+                        key: batch.key,
+                        version: batch.version,
+                        path: [],
+                        value: view.init(value)
+                    };
+                }
+                
+                // Once the path is replaced again, later changes beneath it
+                // are to the replacement.
+                if (startsWith(path, later.path) &&
+                        ['update', 'insert', 'delete'].includes(later.op)) {
+                    break;
+                }
+                
+                if (startsWith(later.path, path)) {
+                    dropped[j] = true;
+                }
+            }
+        }
+        
+        const kept = messages.filter((message, i) => !dropped[i]);
+        if (kept.length === 0) {
+            return undefined;
+        }
+        
+        return Object.assign({}, batch, {
+            messages: kept.map(withoutEnvelope)
+        });
+    }
+};
+
+function buildProjectionView(projection, serialize) {
+    if (typeof projection === 'undefined') {
+        return new IdentityView(serialize);
+    }
+    
+    if (typeof projection === 'function') {
+        return new FunctionView(projection, serialize);
+    }
+    
+    if (Array.isArray(projection.allow)) {
+        return new AllowView(projection.allow, serialize);
+    }
+    
+    if (Array.isArray(projection.deny)) {
+        return new DenyView(projection.deny, serialize);
+    }
+    
+    throw new Error('Projection must be a function or have an "allow" or ' +
+            '"deny" list.');
+}
+
+class IdentityView {
+    constructor(serialize) {
+        this.serialize = serialize;
+        this.replayable = true;
+    }
+    
+    init(value) {
+        return this.serialize(value);
+    }
+    
+    delta(message) {
+        return message;
+    }
+}
+
+/**
+ * Sends the client a projection of the root key's value, recomputing it
+ * whenever the root key changes.  Since an arbitrary function gives us no
+ * way to tell which part of its result a change affects, each change that
+ * alters the result is sent as a replacement of the whole thing.
+ */
+class FunctionView {
+    constructor(project, serialize) {
+        this.project = project;
+        this.serialize = serialize;
+        this.replayable = false;
+    }
+    
+    init(value) {
+        const projected = this.serialize(this.project(value));
+        this.lastSent = JSON.stringify(projected);
+        return projected;
+    }
+    
+    delta(message, value) {
+        if (typeof message.path === 'undefined') {
+            return message;
+        }
+        
+        const projected = this.serialize(this.project(value));
+        const projectedJson = JSON.stringify(projected);
+        
+        if (projectedJson === this.lastSent) {
+            return undefined;
+        }
+        
+        this.lastSent = projectedJson;
+        
+        return {
+            op: 'update',
+            key: message.key,
+            version: message.version,
+            path: [],
+            value: projected
+        };
+    }
+}
+
+/**
+ * Shows the client only the subtree at `path`, which it sees as though it
+ * were the whole root key.  Changes to the subtree are passed along with
+ * their paths made relative to it, changes that replace the subtree or one of
+ * its ancestors become replacements of the whole subtree, and changes
+ * elsewhere are dropped.  Because replacements are built from the current
+ * value of the subtree, old messages can't be replayed.
+ */
+class SubtreeView {
+    constructor(path, inner, serialize) {
+        this.path = path;
+        this.inner = inner;
+        this.serialize = serialize;
+        this.replayable = false;
+    }
+    
+    init(value) {
+        return this.inner.init(lookup(value, this.path));
+    }
+    
+    delta(message, value) {
+        const subtree = lookup(value, this.path);
+        
+        if (typeof message.path !== 'undefined') {
+            message = this.rebase(message, value, subtree);
+            if (typeof message === 'undefined') {
+                return undefined;
+            }
+        }
+        
+        return this.inner.delta(message, subtree);
+    }
+    
+    rebase(message, value, subtree) {
+        if (startsWith(message.path, this.path)) {
+            return Object.assign({}, message, {
+                path: message.path.slice(this.path.length)
+            });
+        }
+        
+        if (this.splicesAfterSubtree(message)) {
+            return undefined;
+        }
+        
+        if (startsWith(this.path, message.path) ||
+                this.shiftsSubtree(message, value)) {
+            return {
+                op: 'update',
+                key: message.key,
+                version: message.version,
+                path: [],
+                value: this.serialize(subtree),
+                [rebuilt]: true
+            };
+        }
+        
+        return undefined;
+    }
+    
+    /**
+     * Whether or not `message` inserts into or deletes from an array that
+     * contains the subtree, changing which element the subtree is.
+     */
+    shiftsSubtree(message, value) {
+        if (message.op !== 'insert' && message.op !== 'delete') {
+            return false;
+        }
+        
+        const parentPath = message.path.slice(0, -1);
+        return startsWith(this.path, parentPath) &&
+                Array.isArray(lookup(value, parentPath)) &&
+                message.path[parentPath.length] <=
+                        this.path[parentPath.length];
+    }
+    
+    /**
+     * Whether or not `message` splices an array that contains the subtree
+     * only after the subtree's element, leaving it be.
+     */
+    splicesAfterSubtree(message) {
+        return message.op === 'splice' &&
+                message.path.length < this.path.length &&
+                startsWith(this.path, message.path) &&
+                message.index > this.path[message.path.length];
+    }
+}
+
+/**
+ * Shows the client the window of records picked out by compiled query
+ * `select`, recomputing it whenever the collection changes.  We remember
+ * which records we last sent, so that each change can be sent as the records
+ * that left the window, a `move` of those that stayed, the records that
+ * entered it, and updates of those that stayed but changed, all in a single
+ * `batch`.  Records are matched up by identity, which is why `select` must be
+ * given the collection from `data` itself.
+ */
+class QueryView {
+    constructor(select, inner, serialize) {
+        this.select = select;
+        this.inner = inner;
+        this.serialize = serialize;
+        this.replayable = false;
+    }
+    
+    init(collection) {
+        this.window = this.select(collection);
+        this.sent = this.window.map(record => this.serializeRecord(record));
+        return this.inner.init(this.window);
+    }
+    
+    delta(message, collection) {
+        if (typeof message.path === 'undefined') {
+            return message;
+        }
+        
+        const window = this.select(collection);
+        const changes = this.windowChanges(window).map(change =>
+                Object.assign({
+                    key: message.key,
+                    version: message.version
+                }, change));
+        
+        this.window = window;
+        
+        const messages = [];
+        for (let i = 0; i < changes.length; i++) {
+            const viewed = this.inner.delta(changes[i], window);
+            if (typeof viewed === 'undefined') {
+                continue;
+            }
+            
+            if (viewed.op === 'update' && viewed.path.length === 0) {
+                // The inner view has sent the whole window as it now stands,
+                // which makes our other changes moot.
+                return viewed;
+            }
+            
+            messages.push(viewed);
+        }
+        
+        if (messages.length < 2) {
+            return messages[0];
+        }
+        
+        return {
+            op: 'batch',
+            key: message.key,
+            version: message.version,
+            messages: messages.map(withoutEnvelope)
+        };
+    }
+    
+    /**
+     * Returns the changes that turn our last window into `window`, and
+     * remembers what we will have sent for each of its records.
+     */
+    windowChanges(window) {
+        const before = this.window;
+        const oldIndices = indicesByElement(before);
+        const matches = window.map(record => {
+            const candidates = oldIndices.get(record);
+            return typeof candidates === 'undefined' ||
+                    candidates.length === 0 ? -1 : candidates.pop();
+        });
+        
+        const changes = [];
+        const staying = new Set(matches.filter(i => i !== -1));
+        
+        for (let i = before.length - 1; i >= 0; i--) {
+            if (!staying.has(i)) {
+                changes.push({ op: 'delete', path: [i] });
+            }
+        }
+        
+        // Once the leavers are gone, the stayers are left in their old
+        // order, which we rearrange into their new one.
+        const survivors = [...staying].sort((a, b) => a - b);
+        const moves = movesFor(matches.filter(i => i !== -1)
+                .map(oldIndex => survivors.indexOf(oldIndex)));
+        if (moves.length > 0) {
+            changes.push({ op: 'move', path: [], moves: moves });
+        }
+        
+        const sent = window.map(record => this.serializeRecord(record));
+        
+        matches.forEach((oldIndex, i) => {
+            if (oldIndex === -1) {
+                changes.push({
+                    op: 'insert',
+                    path: [i],
+                    value: this.serialize(window[i])
+                });
+            }
+        });
+        
+        matches.forEach((oldIndex, i) => {
+            if (oldIndex !== -1 && sent[i] !== this.sent[oldIndex]) {
+                changes.push({
+                    op: 'update',
+                    path: [i],
+                    value: this.serialize(window[i])
+                });
+            }
+        });
+        
+        this.sent = sent;
+        return changes;
+    }
+    
+    serializeRecord(record) {
+        return JSON.stringify(this.serialize(record));
+    }
+}
+
+/**
+ * Maps each element of `array` to its indices, last first, so that equal
+ * primitives can be handed out in turn.
+ */
+function indicesByElement(array) {
+    const result = new Map();
+    for (let i = array.length - 1; i >= 0; i--) {
+        if (!result.has(array[i])) {
+            result.set(array[i], []);
+        }
+        
+        result.get(array[i]).push(i);
+    }
+    
+    return result;
+}
+
+class DenyView {
+    constructor(paths, serialize) {
+        this.paths = paths;
+        this.serialize = serialize;
+        this.replayable = true;
+    }
+    
+    init(value) {
+        return redact(this.serialize(value), this.paths);
+    }
+    
+    delta(message, rootValue) {
+        if (typeof message.path === 'undefined') {
+            return message;
+        }
+        
+        message = reindexed(message, this.paths, rootValue, this.serialize);
+        if (this.paths.some(p => covers(p, message.path))) {
+            return undefined;
+        }
+        
+        const hidden = beneath(this.paths, message.path);
+        if (hidden.length > 0 && needsWholeValue(message, hidden)) {
+            message = asUpdate(message, rootValue, this.serialize);
+        }
+        
+        return withValue(message, hidden, redact);
+    }
+}
+
+class AllowView {
+    constructor(paths, serialize) {
+        this.paths = paths;
+        this.serialize = serialize;
+        this.replayable = true;
+    }
+    
+    init(value) {
+        return prune(this.serialize(value), this.paths);
+    }
+    
+    delta(message, rootValue) {
+        if (typeof message.path === 'undefined') {
+            return message;
+        }
+        
+        message = reindexed(message, this.paths, rootValue, this.serialize);
+        if (this.paths.some(p => covers(p, message.path))) {
+            return message;
+        }
+        
+        const visible = beneath(this.paths, message.path);
+        if (visible.length === 0) {
+            return undefined;
+        }
+        
+        if (needsWholeValue(message, visible)) {
+            message = asUpdate(message, rootValue, this.serialize);
+        }
+        
+        return withValue(message, visible, prune);
+    }
+}
+
+/**
+ * Whether or not path pattern `pattern` matches `path` or one of its
+ * ancestors.
+ */
+function covers(pattern, path) {
+    return pattern.length <= path.length &&
+            pattern.every((segment, i) => segmentMatches(segment, path[i]));
+}
+
+/**
+ * Returns the remainders of those of `patterns` that match paths strictly
+ * beneath `path`, relative to `path`.
+ */
+function beneath(patterns, path) {
+    return patterns
+            .filter(p => p.length > path.length &&
+                    path.every((segment, i) => segmentMatches(p[i], segment)))
+            .map(p => p.slice(path.length));
+}
+
+function segmentMatches(patternSegment, segment) {
+    return patternSegment === '*' || `${patternSegment}` === `${segment}`;
+}
+
+/**
+ * Whether or not `message` must be sent as a replacement of the whole value
+ * at its path for `patterns` beneath that path to be applied to it.  Paths
+ * can't refer to the entries of a `Map` or `Set`, so we can't tell which
+ * entries a change to one touches.  And array ops move elements between
+ * indices, and so in and out of patterns that name particular indices.
+ */
+function needsWholeValue(message, patterns) {
+    if (['mapSet', 'mapDelete', 'setAdd', 'setDelete', 'clear']
+            .includes(message.op)) {
+        return true;
+    }
+    
+    return isArrayOp(message) && patterns.some(p => p[0] !== '*');
+}
+
+/**
+ * Returns `message`, or, if it inserts or deletes an array element while
+ * `patterns` name particular indices of that array, an update of the whole
+ * array.  Just like array ops, the insert or delete moves the elements after
+ * it in and out of those patterns.
+ */
+function reindexed(message, patterns, rootValue, serialize) {
+    if (!isArrayResize(message)) {
+        return message;
+    }
+    
+    const arrayPath = message.path.slice(0, -1);
+    return beneath(patterns, arrayPath).some(p => p[0] !== '*')
+            ? asUpdate(Object.assign({}, message, { path: arrayPath }),
+                    rootValue, serialize)
+            : message;
+}
+
+function asUpdate(message, rootValue, serialize) {
+    return {
+        op: 'update',
+        key: message.key,
+        version: message.version,
+        path: message.path,
+        value: serialize(lookup(rootValue, message.path)),
+        [rebuilt]: true
+    };
+}
+
+/**
+ * Applies `transform(value, patterns)` to the serialized value `message`
+ * carries, given `patterns` relative to the message's path.  The elements
+ * inserted by a `splice` each get the patterns for the index they land at.
+ */
+function withValue(message, patterns, transform) {
+    if (typeof message.value === 'undefined') {
+        return message;
+    }
+    
+    const value = message.op === 'splice'
+            ? message.value.map((element, i) => transform(element,
+                    patternsUnder(patterns, message.index + i)))
+            : transform(message.value, patterns);
+    
+    return Object.assign({}, message, { value: value });
+}
+
+/**
+ * Removes everything matched by `patterns` from serialized value `value`.
+ */
+function redact(value, patterns) {
+    if (patterns.length === 0) {
+        return value;
+    }
+    
+    if (patterns.some(p => p.length === 0)) {
+        return serializedUndefined;
+    }
+    
+    if (isMetaNode(value)) {
+        // We can't see inside, so to be safe we hide the whole thing.
+        return serializedUndefined;
+    }
+    
+    return mapChildren(value, (child, segment) => {
+        const childPatterns = patternsUnder(patterns, segment);
+        
+        if (childPatterns.some(p => p.length === 0)) {
+            return undefined;
+        }
+        
+        return redact(child, childPatterns);
+    });
+}
+
+/**
+ * Removes everything not matched by `patterns` from serialized value `value`.
+ */
+function prune(value, patterns) {
+    if (patterns.some(p => p.length === 0)) {
+        return value;
+    }
+    
+    if (patterns.length === 0 || isMetaNode(value) || value === null ||
+            typeof value !== 'object') {
+        return serializedUndefined;
+    }
+    
+    return mapChildren(value, (child, segment) => {
+        const childPatterns = patternsUnder(patterns, segment);
+        
+        if (childPatterns.length === 0) {
+            return undefined;
+        }
+        
+        return prune(child, childPatterns);
+    });
+}
+
+function patternsUnder(patterns, segment) {
+    return patterns
+            .filter(p => segmentMatches(p[0], segment))
+            .map(p => p.slice(1));
+}
+
+/**
+ * Rebuilds serialized object or array `value` with each child replaced by the
+ * result of `f`.  When `f` returns `undefined`, object fields are dropped and
+ * array elements become serialized `undefined`s.  Other values are returned
+ * as is.
+ */
+function mapChildren(value, f) {
+    let result;
+    
+    if (Array.isArray(value)) {
+        result = value.map((child, i) => {
+            const mapped = f(child, i);
+            return typeof mapped === 'undefined' ? serializedUndefined : mapped;
+        });
+    }
+    else if (value !== null && typeof value === 'object') {
+        result = {};
+        Object.keys(value).forEach(field => {
+            const mapped = f(value[field], field);
+            if (typeof mapped !== 'undefined') {
+                result[field] = mapped;
+            }
+        });
+        
+        // An object whose only field is "@m" would be mistaken for a meta
+        // node, so escape it the way sejr does.
+        if (isMetaNode(result)) {
+            result = { '@m': { d: result } };
+        }
+    }
+    else {
+        result = value;
+    }
+    
+    return result;
+}
+
+function isMetaNode(value) {
+    return value !== null && typeof value === 'object' &&
+            !Array.isArray(value) && Object.keys(value).length === 1 &&
+            typeof value['@m'] !== 'undefined';
+}
@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const http = require('http');
+
+// Just enough of RFC 6455 to carry our JSON messages: text frames,
+// fragmentation, ping/pong and the closing handshake.  No extensions.
+
+const handshakeGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const opcodes = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+module.exports = {
+    /**
+     * Completes the handshake for an http `upgrade` event, returning the
+     * resulting `WebSocket`, or `undefined` if the request wasn't a valid
+     * WebSocket request, in which case it has already been refused.
+     */
+    acceptUpgrade(request, socket, head, options = {}) {
+        const key = request.headers['sec-websocket-key'];
+        
+        if (`${request.headers.upgrade}`.toLowerCase() !== 'websocket' ||
+                request.headers['sec-websocket-version'] !== '13' ||
+                typeof key !== 'string') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return undefined;
+        }
+        
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+                'Upgrade: websocket\r\n' +
+                'Connection: Upgrade\r\n' +
+                `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`);
+        
+        return new WebSocket(socket, head, Object.assign({}, options, {
+            client: false
+        }));
+    },
+    
+    /**
+     * Opens a WebSocket to `url`, which must be a `ws:` URL, resolving to the
+     * resulting `WebSocket` once the handshake is complete.
+     */
+    connect(url, options = {}) {
+        const target = new URL(url);
+        if (target.protocol !== 'ws:') {
+            throw new Error('Unsupported protocol: ' + target.protocol);
+        }
+        
+        const key = crypto.randomBytes(16).toString('base64');
+        
+        return new Promise((resolve, reject) => {
+            const request = http.request({
+                hostname: target.hostname,
+                port: target.port || 80,
+                path: target.pathname + target.search,
+                headers: {
+                    'Connection': 'Upgrade',
+                    'Upgrade': 'websocket',
+                    'Sec-WebSocket-Key': key,
+                    'Sec-WebSocket-Version': '13'
+                }
+            });
+            
+            request.on('upgrade', (response, socket, head) => {
+                if (response.headers['sec-websocket-accept'] !==
+                        acceptKey(key)) {
+                    socket.destroy();
+                    reject(new Error('Bad handshake from ' + url));
+                    return;
+                }
+                
+                resolve(new WebSocket(socket, head,
+                        Object.assign({}, options, { client: true })));
+            });
+            
+            request.on('response', response => {
+                response.resume();
+                reject(new Error('Server refused WebSocket upgrade with ' +
+                        'status ' + response.statusCode));
+            });
+            
+            request.on('error', reject);
+            request.end();
+        });
+    }
+};
+
+function acceptKey(key) {
+    return crypto.createHash('sha1').update(key + handshakeGuid)
+            .digest('base64');
+}
+
+/**
+ * One end of an open WebSocket.  Emits `message` with the text of each
+ * complete message received, `drain` when the underlying socket's buffer
+ * empties, and `close` exactly once when the connection is gone, whoever
+ * closed it.  Clients must mask the frames they send and servers must not,
+ * so each end needs to know which it is.  Messages larger than
+ * `maxMessageSize` bytes close the connection.
+ */
+class WebSocket extends EventEmitter {
+    constructor(socket, head, { client, maxMessageSize = 16 * 1024 * 1024 }) {
+        super();
+        
+        this.socket = socket;
+        this.client = client;
+        this.maxMessageSize = maxMessageSize;
+        this.buffered = head && head.length > 0 ? head : Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsLength = 0;
+        this.closeSent = false;
+        this.closed = false;
+        
+        socket.setNoDelay(true);
+        socket.on('data', data => {
+            this.buffered = Buffer.concat([this.buffered, data]);
+            this.readFrames();
+        });
+        socket.on('drain', () => { this.emit('drain'); });
+        socket.on('error', () => { socket.destroy(); });
+        socket.on('close', () => {
+            if (!this.closed) {
+                this.closed = true;
+                this.emit('close');
+            }
+        });
+        
+        if (this.buffered.length > 0) {
+            process.nextTick(() => { this.readFrames(); });
+        }
+    }
+    
+    /**
+     * Sends `text` as a single text frame.  Returns `false` if the socket's
+     * buffer is full, just like a stream's `write()`.
+     */
+    send(text) {
+        if (this.closeSent) {
+            return false;
+        }
+        
+        return this.writeFrame(opcodes.text, Buffer.from(text, 'utf8'));
+    }
+    
+    close(code = 1000) {
+        if (this.closeSent) {
+            return;
+        }
+        
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        
+        this.writeFrame(opcodes.close, payload);
+        this.closeSent = true;
+        this.socket.end();
+    }
+    
+    writeFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        }
+        else if (payload.length < 0x10000) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        }
+        else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        
+        header[0] = 0x80 | opcode;
+        
+        if (this.client) {
+            const mask = crypto.randomBytes(4);
+            header[1] |= 0x80;
+            header = Buffer.concat([header, mask]);
+            payload = applyMask(payload, mask);
+        }
+        
+        return this.socket.write(Buffer.concat([header, payload]));
+    }
+    
+    readFrames() {
+        let frame;
+        while (!this.closeSent && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+    
+    /**
+     * Takes the next complete frame off of our buffer, or returns
+     * `undefined` if we don't have all of it yet.
+     */
+    readFrame() {
+        const b = this.buffered;
+        if (b.length < 2) {
+            return undefined;
+        }
+        
+        const masked = (b[1] & 0x80) !== 0;
+        let length = b[1] & 0x7F;
+        let offset = 2;
+        
+        if (length === 126) {
+            if (b.length < offset + 2) {
+                return undefined;
+            }
+            
+            length = b.readUInt16BE(offset);
+            offset += 2;
+        }
+        else if (length === 127) {
+            if (b.length < offset + 8) {
+                return undefined;
+            }
+            
+            const longLength = b.readBigUInt64BE(offset);
+            length = longLength > BigInt(this.maxMessageSize)
+                    ? Infinity : Number(longLength);
+            offset += 8;
+        }
+        
+        if (length > this.maxMessageSize) {
+            this.fail(1009);
+            return undefined;
+        }
+        
+        let mask;
+        if (masked) {
+            if (b.length < offset + 4) {
+                return undefined;
+            }
+            
+            mask = b.slice(offset, offset + 4);
+            offset += 4;
+        }
+        
+        if (b.length < offset + length) {
+            return undefined;
+        }
+        
+        let payload = b.slice(offset, offset + length);
+        this.buffered = b.slice(offset + length);
+        
+        if (masked === this.client) {
+            // Only clients mask their frames.
+            this.fail(1002);
+            return undefined;
+        }
+        
+        if (masked) {
+            payload = applyMask(payload, mask);
+        }
+        
+        return {
+            fin: (b[0] & 0x80) !== 0,
+            opcode: b[0] & 0x0F,
+            payload: payload
+        };
+    }
+    
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case opcodes.text:
+            case opcodes.binary:
+            case opcodes.continuation: {
+                if ((opcode === opcodes.continuation) !==
+                        (this.fragments.length > 0)) {
+                    this.fail(1002);
+                    return;
+                }
+                
+                this.fragments.push(payload);
+                this.fragmentsLength += payload.length;
+                if (this.fragmentsLength > this.maxMessageSize) {
+                    this.fail(1009);
+                    return;
+                }
+                
+                if (fin) {
+                    const message = Buffer.concat(this.fragments);
+                    this.fragments = [];
+                    this.fragmentsLength = 0;
+                    this.emit('message', message.toString('utf8'));
+                }
+                
+                break;
+            }
+            case opcodes.ping: {
+                this.writeFrame(opcodes.pong, payload);
+                break;
+            }
+            case opcodes.pong: {
+                break;
+            }
+            case opcodes.close: {
+                this.close(payload.length >= 2
+                        ? payload.readUInt16BE(0) : 1000);
+                break;
+            }
+            default: {
+                this.fail(1002);
+            }
+        }
+    }
+    
+    fail(code) {
+        this.buffered = Buffer.alloc(0);
+        this.close(code);
+        this.socket.destroy();
+    }
+}
+
+function applyMask(payload, mask) {
+    const result = Buffer.alloc(payload.length);
+    for (let i = 0; i < payload.length; i++) {
+        result[i] = payload[i] ^ mask[i % 4];
+    }
+    
+    return result;
+}
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const { readJsonLines } = require('../lib/jsonl');
+
+/**
+ * A recorder keeps a log of everything the server sent, so that what a
+ * client was told can be pieced together afterward (see recorders/replay.js).
+ * A recorder must provide `record(entry)`, which is called with each entry in
+ * turn and returns whether or not a snapshot is due.  Entries are plain JSON,
+ * and are either:
+ *
+ * - `{ type: 'message', time, client, key, message }`, for each message sent
+ *   to a client, where `client` is the transport's `id()` for it.
+ * - `{ type: 'snapshot', time, data }`, with the serialized `data` as it
+ *   stood once the messages before it were sent.  The server records one when
+ *   it starts and another soon after the recorder says one is due.
+ *
+ * Times are in milliseconds since the epoch.
+ */
+module.exports = {
+    /**
+     * Builds a recorder that appends entries to newline-delimited JSON file
+     * `file`, asking for a snapshot after every `snapshotEvery` messages.
+     */
+    fileRecorder({ file, snapshotEvery = 1000 }) {
+        let fd = fs.openSync(file, 'a');
+        let sinceSnapshot = 0;
+        
+        return {
+            record(entry) {
+                fs.writeSync(fd, JSON.stringify(entry) + '\n');
+                
+                if (entry.type === 'snapshot') {
+                    sinceSnapshot = 0;
+                    return false;
+                }
+                
+                sinceSnapshot++;
+                return sinceSnapshot >= snapshotEvery;
+            },
+            
+            close() {
+                if (typeof fd !== 'undefined') {
+                    fs.closeSync(fd);
+                    fd = undefined;
+                }
+            }
+        };
+    },
+    
+    /**
+     * Reads the entries recorded in `file`, ignoring a partial last line
+     * left by a crash.
+     */
+    readRecording(file) {
+        return readJsonLines(file);
+    }
+};
@@ -0,0 +1,113 @@
+const util = require('util');
+const ineficeClientFac = require('../client');
+const { buildSerialization } = require('../lib/serialization');
+const { readRecording } = require('./file');
+
+/**
+ * Rebuilds a client's replicas from a recording (see recorders/file.js) by
+ * feeding the messages it was sent to a client of its own.  Run as a script,
+ * as in `node recorders/replay.js <recording> <client> [entries]`, it
+ * compares the client's replicas with the last snapshot among the first
+ * `entries` entries, or among all of them, and prints each key that doesn't
+ * match.
+ */
+module.exports = {
+    /**
+     * Returns a client (see client.js) holding the replicas client `client`
+     * had after the first `until` of recorded entries `entries`.
+     * `clientType` and `typeDefinitions` must match the server's.
+     */
+    replay(entries, client, {
+        until = entries.length,
+        clientType,
+        typeDefinitions
+    } = {}) {
+        const handlers = [];
+        const replayed = ineficeClientFac({
+            transport: {
+                on(event, handler) {
+                    if (event === 'message') {
+                        handlers.push(handler);
+                    }
+                },
+                
+                // Whatever the client asked for was answered by messages
+                // already in the recording.
+                send() {}
+            },
+            clientType,
+            typeDefinitions
+        });
+        
+        entries.slice(0, until).forEach(entry => {
+            if (entry.type === 'message' && entry.client === client) {
+                handlers.forEach(handler => { handler(entry.message); });
+            }
+        });
+        
+        return replayed;
+    },
+    
+    /**
+     * Replays `entries` up to the snapshot at index `at`, by default the
+     * last one, and compares each replica client `client` held then with the
+     * key's value in the snapshot.  Returns a `{ key, replica, server }` for
+     * each that doesn't match, with both values serialized.  A client linked
+     * with a path, projection or query sees only part of a key, so its
+     * replicas won't match.
+     */
+    compareToSnapshot(entries, client, {
+        at = lastSnapshotBefore(entries, entries.length),
+        clientType,
+        typeDefinitions
+    } = {}) {
+        if (typeof entries[at] === 'undefined' ||
+                entries[at].type !== 'snapshot') {
+            throw new Error('No snapshot at entry ' + at + '.');
+        }
+        
+        const { serialize, deserialize } =
+                buildSerialization({ clientType, typeDefinitions });
+        const replayed = module.exports.replay(entries, client,
+                { until: at, clientType, typeDefinitions });
+        const data = deserialize(entries[at].data);
+        
+        return replayed.keys()
+                .map(key => ({
+                    key: key,
+                    replica: serialize(replayed.get(key)),
+                    server: serialize(data[key])
+                }))
+                .filter(({ replica, server }) =>
+                        !util.isDeepStrictEqual(replica, server));
+    }
+};
+
+function lastSnapshotBefore(entries, until) {
+    for (let i = until - 1; i >= 0; i--) {
+        if (entries[i].type === 'snapshot') {
+            return i;
+        }
+    }
+    
+    return -1;
+}
+
+if (require.main === module) {
+    const [file, client, until] = process.argv.slice(2);
+    if (typeof client === 'undefined') {
+        console.error(
+                'Usage: node recorders/replay.js <recording> <client> ' +
+                '[entries]');
+        process.exit(1);
+    }
+    
+    const entries = readRecording(file);
+    const at = lastSnapshotBefore(entries,
+            typeof until === 'undefined' ? entries.length : Number(until));
+    
+    module.exports.compareToSnapshot(entries, client, { at })
+            .forEach(mismatch => {
+                console.log(JSON.stringify(mismatch));
+            });
+}
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { readJsonLines } = require('../lib/jsonl');
+
+const snapshotFile = 'snapshot.json';
+const logPattern = /^log\.(\d+)\.jsonl$/;
+
+module.exports = {
+    /**
+     * Builds a store (see lib/persistence.js) that keeps a snapshot and an
+     * append-only log of changes in `directory`, creating it if need be.
+     * Once `snapshotEvery` changes have been logged, the store asks for a
+     * fresh snapshot and starts a new log.
+     *
+     * Each snapshot records a generation number, and each log is named for
+     * the generation it follows on from, so that a crash part way through
+     * taking a snapshot leaves either the old snapshot and every log since,
+     * or the new snapshot and the new log.
+     */
+    fileStore({ directory, snapshotEvery = 1000 }) {
+        let generation;
+        let fd;
+        let sinceSnapshot = 0;
+        
+        function logPath(n) {
+            return path.join(directory, `log.${n}.jsonl`);
+        }
+        
+        function logGenerations() {
+            return fs.readdirSync(directory)
+                    .map(file => logPattern.exec(file))
+                    .filter(match => match)
+                    .map(match => Number(match[1]))
+                    .sort((a, b) => a - b);
+        }
+        
+        function startLog(n) {
+            if (typeof fd !== 'undefined') {
+                fs.closeSync(fd);
+            }
+            
+            generation = n;
+            fd = fs.openSync(logPath(n), 'a');
+        }
+        
+        return {
+            load() {
+                fs.mkdirSync(directory, { recursive: true });
+                
+                let snapshot;
+                let snapshotGeneration = 0;
+                
+                const snapshotPath = path.join(directory, snapshotFile);
+                if (fs.existsSync(snapshotPath)) {
+                    const saved =
+                            JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+                    snapshot = saved.data;
+                    snapshotGeneration = saved.generation;
+                }
+                
+                const generations = logGenerations()
+                        .filter(n => n >= snapshotGeneration);
+                
+                const log = [];
+                generations.forEach(n => {
+                    readJsonLines(logPath(n)).forEach(
+                            message => { log.push(message); });
+                });
+                
+                // We start a new log rather than appending to the last one,
+                // which might end with a partial line.
+                sinceSnapshot = log.length;
+                startLog(Math.max(snapshotGeneration, ...generations) + 1);
+                
+                return { snapshot, log };
+            },
+            
+            append(message) {
+                fs.writeSync(fd, JSON.stringify(message) + '\n');
+                sinceSnapshot++;
+                
+                return sinceSnapshot >= snapshotEvery;
+            },
+            
+            snapshot(value) {
+                startLog(generation + 1);
+                
+                const snapshotPath = path.join(directory, snapshotFile);
+                fs.writeFileSync(snapshotPath + '.tmp', JSON.stringify({
+                    generation: generation,
+                    data: value
+                }));
+                fs.renameSync(snapshotPath + '.tmp', snapshotPath);
+                
+                logGenerations().filter(n => n < generation).forEach(n => {
+                    fs.unlinkSync(logPath(n));
+                });
+                
+                sinceSnapshot = 0;
+            },
+            
+            close() {
+                if (typeof fd !== 'undefined') {
+                    fs.closeSync(fd);
+                    fd = undefined;
+                }
+            }
+        };
+    }
+};
@@ -3,6 +3,26 @@ const clone = require('clone');
 const deepEqual = require('deep-equal');
 const jsonDiff = require('jsondiffpatch');
 const ineficeFac = require('../index');
+const ineficeClientFac = require('../client');
+const http = require('http');
+const {
+    webSocketServerTransport,
+    connectWebSocket
+} = require('../transports/websocket');
+const { memoryTransport } = require('../transports/memory');
+const { buildSerialization } = require('../lib/serialization');
+const {
+    messagePortServerTransport,
+    messagePortClientTransport
+} = require('../transports/message-port');
+const { MessageChannel } = require('worker_threads');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fileStore } = require('../stores/file');
+const { memoryBackplane } = require('../backplanes/memory');
+const { fileRecorder, readRecording } = require('../recorders/file');
+const { compareToSnapshot, replay } = require('../recorders/replay');
 
 const tests = [
     {
@@ -22,6 +42,7 @@ const tests = [
                 message: {
                     op: 'init',
                     key: 'foo',
+                    version: 1,
                     value: 'abc'
                 }
             }
@@ -58,6 +79,7 @@ const tests = [
                 message: {
                     op: 'update',
                     key: 'foo',
+                    version: 2,
                     path: [],
                     value: 'def'
                 }
@@ -86,6 +108,7 @@ const tests = [
                 message: {
                     op: 'insert',
                     key: 'foo',
+                    version: 2,
                     path: ['abc'],
                     value: 'def'
                 }
@@ -114,6 +137,7 @@ const tests = [
                 message: {
                     op: 'delete',
                     key: 'foo',
+                    version: 2,
                     path: ['abc']
                 }
             }
@@ -141,6 +165,7 @@ const tests = [
                 message: {
                     op: 'insert',
                     key: 'foo',
+                    version: 2,
                     path: [2],
                     value: 'c'
                 }
@@ -169,13 +194,14 @@ const tests = [
                 message: {
                     op: 'delete',
                     key: 'foo',
+                    version: 2,
                     path: [0]
                 }
             }
         ]
     },
     {
-        name: 'array sort sends update',
+        name: 'array sort sends moves',
         steps: [
             async (transport, server) => {
                 server.data['foo'] = { bar: ['a', 'c', 'b'] };
@@ -193,116 +219,2873 @@ const tests = [
             },
             {
                 client: ['client1', 'client3'],
+                message: {
+                    op: 'move',
+                    key: 'foo',
+                    version: 2,
+                    path: ['bar'],
+                    moves: [[2, 1]]
+                }
+            }
+        ]
+    },
+    {
+        name: 'array reverse sends reverse',
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = { bar: ['a', 'b', 'c'] };
+                
+                const client1 = transport.buildFakeClient('client1');
+                const client2 = transport.buildFakeClient('client2');
+                const client3 = transport.buildFakeClient('client3');
+                
+                await server.link(client1, 'foo');
+                await server.link(client3, 'foo');
+                
+                transport.clearMessages();
+                
+                server.data.foo.bar.reverse();
+            },
+            {
+                client: ['client1', 'client3'],
+                message: {
+                    op: 'reverse',
+                    key: 'foo',
+                    version: 2,
+                    path: ['bar']
+                }
+            }
+        ]
+    },
+    {
+        name: 'array splice sends splice',
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = { bar: ['a', 'b', 'c', 'd', 'e'] };
+                
+                const client1 = transport.buildFakeClient('client1');
+                const client2 = transport.buildFakeClient('client2');
+                const client3 = transport.buildFakeClient('client3');
+                
+                await server.link(client1, 'foo');
+                await server.link(client3, 'foo');
+                
+                transport.clearMessages();
+                
+                server.data.foo.bar.splice(1, 2, 'x', 'y', 'z');
+            },
+            {
+                client: ['client1', 'client3'],
+                message: {
+                    op: 'splice',
+                    key: 'foo',
+                    version: 2,
+                    path: ['bar'],
+                    index: 1,
+                    deleteCount: 2,
+                    value: ['x', 'y', 'z']
+                }
+            }
+        ]
+    },
+    {
+        name: 'array splice removing several elements sends splice',
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = { bar: ['a', 'b', 'c', 'd', 'e'] };
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'foo');
+                
+                transport.clearMessages();
+                
+                server.data.foo.bar.splice(1, 3);
+            },
+            {
+                client: 'client1',
+                message: {
+                    op: 'splice',
+                    key: 'foo',
+                    version: 2,
+                    path: ['bar'],
+                    index: 1,
+                    deleteCount: 3
+                }
+            }
+        ]
+    },
+    {
+        name: 'array unshift keeps replica in sync',
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = ['c', { d: 'e' }];
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'foo');
+                
+                transport.clearMessages();
+                
+                server.data.foo.unshift('a', 'b');
+                server.data.foo[3].d = 'f';
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'splice',
+                        key: 'foo',
+                        version: 2,
+                        path: [],
+                        index: 0,
+                        deleteCount: 0,
+                        value: ['a', 'b']
+                    },
+                    {
+                        op: 'update',
+                        key: 'foo',
+                        version: 3,
+                        path: [3, 'd'],
+                        value: 'f'
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'remove root sends finalize and future changes not sent',
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = {};
+                
+                const client1 = transport.buildFakeClient('client1');
+                const client2 = transport.buildFakeClient('client2');
+                const client3 = transport.buildFakeClient('client3');
+                
+                await server.link(client1, 'foo');
+                await server.link(client3, 'foo');
+                
+                transport.clearMessages();
+                
+                delete server.data['foo'];
+                server.data.foo = {};
+            },
+            {
+                client: ['client1', 'client3'],
+                message: {
+                    op: 'finalize',
+                    key: 'foo',
+                    version: 2
+                }
+            }
+        ]
+    },
+    {
+        name: 'missed message is resent on resync',
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = {};
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'foo');
+                
+                transport.clearMessages();
+                transport.dropNextMessages('client1', 1);
+                
+                server.data.foo.a = 'b';
+                server.data.foo.c = 'd';
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'insert',
+                        key: 'foo',
+                        version: 3,
+                        path: ['c'],
+                        value: 'd'
+                    },
+                    {
+                        op: 'insert',
+                        key: 'foo',
+                        version: 2,
+                        path: ['a'],
+                        value: 'b'
+                    },
+                    {
+                        op: 'insert',
+                        key: 'foo',
+                        version: 3,
+                        path: ['c'],
+                        value: 'd'
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'resync sends init when missed messages are forgotten',
+        options: {
+            historyLimit: 1
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = {};
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'foo');
+                
+                transport.clearMessages();
+                transport.dropNextMessages('client1', 1);
+                
+                server.data.foo.a = 'b';
+                server.data.foo.c = 'd';
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'insert',
+                        key: 'foo',
+                        version: 3,
+                        path: ['c'],
+                        value: 'd'
+                    },
+                    {
+                        op: 'init',
+                        key: 'foo',
+                        version: 3,
+                        value: { a: 'b', c: 'd' }
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'inbound ops we don\'t know are dropped',
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = 'bar';
+                
+                const client1 = transport.buildFakeClient('client1');
+                await server.link(client1, 'foo');
+                transport.clearMessages();
+                
+                ['hasOwnProperty', '__proto__', 'toString', 'nonsense']
+                        .forEach(op => {
+                            transport.receive('client1', { op: op });
+                        });
+                
+                server.data['foo'] = 'baz';
+            },
+            {
+                client: 'client1',
+                message: {
+                    op: 'update',
+                    key: 'foo',
+                    version: 2,
+                    path: [],
+                    value: 'baz'
+                }
+            }
+        ]
+    },
+    {
+        name: 'resumed session receives only missed messages',
+        options: {
+            resumeTimeout: 60000,
+            sessionId: () => 'session1'
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = {};
+                server.data['bar'] = {};
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'foo');
+                await server.link(client1, 'bar');
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'session',
+                        session: 'session1'
+                    },
+                    {
+                        op: 'init',
+                        key: 'foo',
+                        version: 1,
+                        value: {}
+                    },
+                    {
+                        op: 'init',
+                        key: 'bar',
+                        version: 1,
+                        value: {}
+                    }
+                ]
+            },
+            async (transport, server) => {
+                transport.disconnect('client1');
+                
+                server.data.foo.a = 'b';
+                delete server.data.bar;
+                
+                transport.reconnect('client1');
+                transport.replica('client1').resume();
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'finalize',
+                        key: 'bar'
+                    },
+                    {
+                        op: 'insert',
+                        key: 'foo',
+                        version: 2,
+                        path: ['a'],
+                        value: 'b'
+                    }
+                ]
+            },
+            async (transport, server) => {
+                server.data.foo.c = 'd';
+            },
+            {
+                client: 'client1',
+                message: {
+                    op: 'insert',
+                    key: 'foo',
+                    version: 3,
+                    path: ['c'],
+                    value: 'd'
+                }
+            }
+        ]
+    },
+    {
+        name: 'resume sends init when missed messages are forgotten',
+        options: {
+            historyLimit: 1,
+            resumeTimeout: 60000,
+            sessionId: () => 'session1'
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = {};
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'foo');
+                
+                transport.clearMessages();
+                transport.disconnect('client1');
+                
+                server.data.foo.a = 'b';
+                server.data.foo.c = 'd';
+                
+                transport.reconnect('client1');
+                transport.replica('client1').resume();
+            },
+            {
+                client: 'client1',
+                message: {
+                    op: 'init',
+                    key: 'foo',
+                    version: 3,
+                    value: { a: 'b', c: 'd' }
+                }
+            }
+        ]
+    },
+    {
+        name: 'resuming an expired session closes every replica',
+        options: {
+            resumeTimeout: 0,
+            sessionId: () => 'session1'
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = {};
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'foo');
+                
+                transport.clearMessages();
+                transport.disconnect('client1');
+                
+                await new Promise(resolve => setTimeout(resolve, 10));
+                
+                transport.reconnect('client1');
+                transport.replica('client1').resume();
+                
+                if (transport.replica('client1').keys().length !== 0) {
+                    throw new Error('replica not closed');
+                }
+            },
+            {
+                client: 'client1',
+                message: {
+                    op: 'expired',
+                    session: 'session1'
+                }
+            }
+        ]
+    },
+    {
+        name: 'authorized proposals are applied and acknowledged',
+        options: {
+            authorize: (client, key, op) => client.name === 'client1'
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = { list: ['a', 'b', 'c'] };
+                
+                const client1 = transport.buildFakeClient('client1');
+                const client2 = transport.buildFakeClient('client2');
+                
+                await server.link(client1, 'foo');
+                await server.link(client2, 'foo');
+                
+                transport.clearMessages();
+                
+                await transport.replica('client1').propose('foo', {
+                    type: 'set',
+                    path: ['bar'],
+                    value: 'baz'
+                });
+                
+                await transport.replica('client1').propose('foo', {
+                    type: 'splice',
+                    path: ['list'],
+                    start: 1,
+                    deleteCount: 2,
+                    items: ['d']
+                });
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'insert',
+                        key: 'foo',
+                        version: 2,
+                        path: ['bar'],
+                        value: 'baz'
+                    },
+                    {
+                        op: 'ack',
+                        id: 1,
+                        key: 'foo'
+                    },
+                    {
+                        op: 'splice',
+                        key: 'foo',
+                        version: 3,
+                        path: ['list'],
+                        index: 1,
+                        deleteCount: 2,
+                        value: ['d']
+                    },
+                    {
+                        op: 'ack',
+                        id: 2,
+                        key: 'foo'
+                    }
+                ]
+            },
+            {
+                client: 'client2',
+                message: [
+                    {
+                        op: 'insert',
+                        key: 'foo',
+                        version: 2,
+                        path: ['bar'],
+                        value: 'baz'
+                    },
+                    {
+                        op: 'splice',
+                        key: 'foo',
+                        version: 3,
+                        path: ['list'],
+                        index: 1,
+                        deleteCount: 2,
+                        value: ['d']
+                    }
+                ]
+            },
+            async (transport, server) => {
+                try {
+                    await transport.replica('client2').propose('foo', {
+                        type: 'delete',
+                        path: ['bar']
+                    });
+                    throw new Error('did not get expected error');
+                }
+                catch (e) {
+                    if (e.reason !== 'unauthorized') {
+                        throw e;
+                    }
+                }
+            },
+            {
+                client: 'client2',
+                message: {
+                    op: 'reject',
+                    id: 1,
+                    key: 'foo',
+                    reason: 'unauthorized'
+                }
+            }
+        ]
+    },
+    {
+        name: 'proposals that fail validation are rejected',
+        options: {
+            authorize: () => true,
+            validate: (client, key, op) => typeof op.value === 'number'
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = { count: 1 };
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'foo');
+                
+                transport.clearMessages();
+                
+                const failures = [];
+                const proposals = [
+                    { type: 'set', path: ['count'], value: 'two' },
+                    { type: 'insert', path: ['nope', 'count'], value: 2 }
+                ];
+                
+                for (let i = 0; i < proposals.length; i++) {
+                    await transport.replica('client1')
+                            .propose('foo', proposals[i])
+                            .catch(e => failures.push(e.reason));
+                }
+                
+                if (failures.join() !== 'invalid,invalid') {
+                    throw new Error('unexpected failures: ' + failures);
+                }
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'reject',
+                        id: 1,
+                        key: 'foo',
+                        reason: 'invalid'
+                    },
+                    {
+                        op: 'reject',
+                        id: 2,
+                        key: 'foo',
+                        reason: 'invalid'
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'proposals can only set array elements that exist',
+        options: {
+            authorize: () => true
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = { list: ['a', 'b'] };
+                
+                const client1 = transport.buildFakeClient('client1');
+                await server.link(client1, 'foo');
+                
+                const failures = [];
+                const proposals = [
+                    { type: 'set', path: ['list', 2], value: 'c' },
+                    { type: 'set', path: ['list', 1000000], value: 'c' },
+                    { type: 'set', path: ['list', -1], value: 'c' },
+                    { type: 'set', path: ['list', 'length'], value: 0 },
+                    { type: 'set', path: ['list', 1], value: 'c' }
+                ];
+                
+                for (let i = 0; i < proposals.length; i++) {
+                    await transport.replica('client1')
+                            .propose('foo', proposals[i])
+                            .catch(e => failures.push(e.reason));
+                }
+                
+                assert.deepEqual(failures,
+                        ['invalid', 'invalid', 'invalid', 'invalid']);
+                assert.deepEqual(transport.replica('client1').get('foo'),
+                        { list: ['a', 'c'] });
+                transport.clearMessages();
+            }
+        ]
+    },
+    {
+        name: 'access policy function denies link',
+        options: {
+            access: (client, key) => client.name === 'client1'
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = 'abc';
+                
+                const client1 = transport.buildFakeClient('client1');
+                const client2 = transport.buildFakeClient('client2');
+                
+                await server.link(client1, 'foo');
+                await server.link(client2, 'foo');
+                
+                server.data['foo'] = 'def';
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'init',
+                        key: 'foo',
+                        version: 1,
+                        value: 'abc'
+                    },
+                    {
+                        op: 'update',
+                        key: 'foo',
+                        version: 2,
+                        path: [],
+                        value: 'def'
+                    }
+                ]
+            },
+            {
+                client: 'client2',
+                message: {
+                    op: 'denied',
+                    key: 'foo'
+                }
+            }
+        ]
+    },
+    {
+        name: 'access rule table matches keys and patterns',
+        options: {
+            access: {
+                'user:admin': false,
+                'user:*': (client, key) => key === 'user:' + client.name,
+                'public': true
+            }
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['user:admin'] = 'a';
+                server.data['user:client1'] = 'b';
+                server.data['user:client2'] = 'c';
+                server.data['public'] = 'd';
+                server.data['other'] = 'e';
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'user:admin');
+                await server.link(client1, 'user:client1');
+                await server.link(client1, 'user:client2');
+                await server.link(client1, 'public');
+                await server.link(client1, 'other');
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'denied',
+                        key: 'user:admin'
+                    },
+                    {
+                        op: 'init',
+                        key: 'user:client1',
+                        version: 1,
+                        value: 'b'
+                    },
+                    {
+                        op: 'denied',
+                        key: 'user:client2'
+                    },
+                    {
+                        op: 'init',
+                        key: 'public',
+                        version: 1,
+                        value: 'd'
+                    },
+                    {
+                        op: 'denied',
+                        key: 'other'
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'revoked access closes link on recheck',
+        options: {
+            access: (client, key) => !client.revoked
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = 'abc';
+                server.data['bar'] = 'def';
+                
+                const client1 = transport.buildFakeClient('client1');
+                const client2 = transport.buildFakeClient('client2');
+                
+                await server.link(client1, 'foo');
+                await server.link(client1, 'bar');
+                await server.link(client2, 'foo');
+                
+                transport.clearMessages();
+                
+                client1.revoked = true;
+                server.recheckAccess();
+                
+                server.data['foo'] = 'ghi';
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'closed',
+                        key: 'foo'
+                    },
+                    {
+                        op: 'closed',
+                        key: 'bar'
+                    }
+                ]
+            },
+            {
+                client: 'client2',
+                message: {
+                    op: 'update',
+                    key: 'foo',
+                    version: 2,
+                    path: [],
+                    value: 'ghi'
+                }
+            }
+        ]
+    },
+    {
+        name: 'deny projection hides paths from init and deltas',
+        options: {
+            projection: (client, key) => client.name === 'client2'
+                    ? { deny: [['players', '*', 'hand']] } : undefined
+        },
+        expectedReplica: (server, client, key) => {
+            const value = clone(server.data[key]);
+            if (client === 'client2') {
+                value.players.forEach(player => { delete player.hand; });
+            }
+            
+            return value;
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['game'] = {
+                    players: [{ name: 'a', hand: [1, 2] }],
+                    turn: 0
+                };
+                
+                const client1 = transport.buildFakeClient('client1');
+                const client2 = transport.buildFakeClient('client2');
+                
+                await server.link(client1, 'game');
+                await server.link(client2, 'game');
+            },
+            {
+                client: 'client2',
+                message: {
+                    op: 'init',
+                    key: 'game',
+                    version: 1,
+                    value: { players: [{ name: 'a' }], turn: 0 }
+                }
+            },
+            async (transport, server) => {
+                transport.clearMessages();
+                
+                server.data.game.players[0].hand.push(3);
+                server.data.game.turn = 1;
+                server.data.game.players.push({ name: 'b', hand: [4] });
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'insert',
+                        key: 'game',
+                        version: 2,
+                        path: ['players', 0, 'hand', 2],
+                        value: 3
+                    },
+                    {
+                        op: 'update',
+                        key: 'game',
+                        version: 3,
+                        path: ['turn'],
+                        value: 1
+                    },
+                    {
+                        op: 'insert',
+                        key: 'game',
+                        version: 4,
+                        path: ['players', 1],
+                        value: { name: 'b', hand: [4] }
+                    }
+                ]
+            },
+            {
+                client: 'client2',
+                message: [
+                    {
+                        op: 'update',
+                        key: 'game',
+                        version: 3,
+                        from: 1,
+                        path: ['turn'],
+                        value: 1
+                    },
+                    {
+                        op: 'insert',
+                        key: 'game',
+                        version: 4,
+                        path: ['players', 1],
+                        value: { name: 'b' }
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'inserts and deletes re-send arrays with denied indices',
+        options: {
+            projection: () => ({ deny: [['players', 1, 'hand']] })
+        },
+        expectedReplica: (server, client, key) => {
+            const value = clone(server.data[key]);
+            delete value.players[1].hand;
+            return value;
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['game'] = {
+                    players: [
+                        { name: 'a', hand: [1] },
+                        { name: 'b', hand: [2] }
+                    ]
+                };
+                
+                const client1 = transport.buildFakeClient('client1');
+                await server.link(client1, 'game');
+                transport.clearMessages();
+                
+                server.data.game.players.unshift({ name: 'c', hand: [3] });
+                server.data.game.players.shift();
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'update',
+                        key: 'game',
+                        version: 2,
+                        path: ['players'],
+                        value: [
+                            { name: 'c', hand: [3] },
+                            { name: 'a' },
+                            { name: 'b', hand: [2] }
+                        ]
+                    },
+                    {
+                        op: 'update',
+                        key: 'game',
+                        version: 3,
+                        path: ['players'],
+                        value: [{ name: 'a', hand: [1] }, { name: 'b' }]
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'allow projection shows only listed paths',
+        options: {
+            projection: () => ({ allow: [['public']] })
+        },
+        expectedReplica: (server, client, key) => ({
+            public: clone(server.data[key].public)
+        }),
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = { public: { a: 1 }, secret: 2 };
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'foo');
+                
+                server.data.foo.secret = 3;
+                server.data.foo.public.a = 4;
+                server.data.foo = { public: { b: 5 }, secret: 6 };
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'init',
+                        key: 'foo',
+                        version: 1,
+                        value: { public: { a: 1 } }
+                    },
+                    {
+                        op: 'update',
+                        key: 'foo',
+                        version: 3,
+                        from: 1,
+                        path: ['public', 'a'],
+                        value: 4
+                    },
+                    {
+                        op: 'update',
+                        key: 'foo',
+                        version: 4,
+                        path: [],
+                        value: { public: { b: 5 } }
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'function projection sends changed projections',
+        options: {
+            projection: () => value => ({ count: value.items.length })
+        },
+        expectedReplica: (server, client, key) => ({
+            count: server.data[key].items.length
+        }),
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = { items: ['a'] };
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'foo');
+                
+                server.data.foo.items[0] = 'b';
+                server.data.foo.items.push('c');
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'init',
+                        key: 'foo',
+                        version: 1,
+                        value: { count: 1 }
+                    },
+                    {
+                        op: 'update',
+                        key: 'foo',
+                        version: 3,
+                        from: 1,
+                        path: [],
+                        value: { count: 2 }
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'sub-path link sees only its subtree',
+        expectedReplica: (server, client, key) =>
+                ineficeFac._deserialize(ineficeFac._serialize(
+                        server.data[key].scoreboard)),
+        steps: [
+            async (transport, server) => {
+                server.data['game'] = { scoreboard: { a: 1 }, board: [] };
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'game', ['scoreboard']);
+                
+                server.data.game.board.push('x');
+                server.data.game.scoreboard.a = 2;
+                server.data.game.scoreboard = { b: 3 };
+                server.data.game = { scoreboard: { c: 4 }, board: [] };
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'init',
+                        key: 'game',
+                        version: 1,
+                        path: ['scoreboard'],
+                        value: { a: 1 }
+                    },
+                    {
+                        op: 'update',
+                        key: 'game',
+                        version: 3,
+                        from: 1,
+                        path: ['a'],
+                        value: 2
+                    },
+                    {
+                        op: 'update',
+                        key: 'game',
+                        version: 4,
+                        path: [],
+                        value: { b: 3 }
+                    },
+                    {
+                        op: 'update',
+                        key: 'game',
+                        version: 5,
+                        path: [],
+                        value: { c: 4 }
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'sub-path link into array follows shifted elements',
+        expectedReplica: (server, client, key) => server.data[key][1],
+        steps: [
+            async (transport, server) => {
+                server.data['list'] = ['a', 'b', 'c'];
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'list', [1]);
+                
+                transport.clearMessages();
+                
+                server.data.list.shift();
+                server.data.list.push('d');
+            },
+            {
+                client: 'client1',
+                message: {
+                    op: 'update',
+                    key: 'list',
+                    version: 2,
+                    path: [],
+                    value: 'c'
+                }
+            }
+        ]
+    },
+    {
+        name: 'pattern link follows matching root keys',
+        steps: [
+            async (transport, server) => {
+                server.data['user:1'] = 'a';
+                server.data['user:2'] = 'b';
+                server.data['other'] = 'c';
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'user:*');
+                
+                server.data['user:3'] = 'd';
+                server.data['another'] = 'e';
+                delete server.data['user:1'];
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'init',
+                        key: 'user:1',
+                        version: 1,
+                        value: 'a'
+                    },
+                    {
+                        op: 'init',
+                        key: 'user:2',
+                        version: 1,
+                        value: 'b'
+                    },
+                    {
+                        op: 'init',
+                        key: 'user:3',
+                        version: 1,
+                        value: 'd'
+                    },
+                    {
+                        op: 'finalize',
+                        key: 'user:1',
+                        version: 2
+                    }
+                ]
+            },
+            async (transport, server) => {
+                server.unlink(transport.client('client1'), 'user:*');
+                
+                server.data['user:4'] = 'f';
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'closed',
+                        key: 'user:2'
+                    },
+                    {
+                        op: 'closed',
+                        key: 'user:3'
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'resumed pattern link picks up keys created while away',
+        options: {
+            resumeTimeout: 60000,
+            sessionId: () => 'session1'
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['user:1'] = 'a';
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'user:*');
+                
+                transport.clearMessages();
+                transport.disconnect('client1');
+                
+                server.data['user:2'] = 'b';
+                
+                transport.reconnect('client1');
+                transport.replica('client1').resume();
+                
+                server.data['user:3'] = 'c';
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'init',
+                        key: 'user:2',
+                        version: 1,
+                        value: 'b'
+                    },
+                    {
+                        op: 'init',
+                        key: 'user:3',
+                        version: 1,
+                        value: 'c'
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'transaction sends each root key as one batch',
+        steps: [
+            async (transport, server) => {
+                server.data['game'] = { hand: ['a', 'b'], table: [] };
+                server.data['log'] = [];
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'game');
+                await server.link(client1, 'log');
+                
+                transport.clearMessages();
+                
+                server.transaction(() => {
+                    const card = server.data.game.hand.shift();
+                    server.data.game.table.push(card);
+                    server.data.game.turn = 1;
+                    server.data.game.turn = 2;
+                    
+                    server.transaction(() => {
+                        server.data.log.push('played ' + card);
+                    });
+                });
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'batch',
+                        key: 'game',
+                        version: 2,
+                        messages: [
+                            {
+                                op: 'delete',
+                                path: ['hand', 0]
+                            },
+                            {
+                                op: 'insert',
+                                path: ['table', 0],
+                                value: 'a'
+                            },
+                            {
+                                op: 'update',
+                                path: ['turn'],
+                                value: 2
+                            }
+                        ]
+                    },
+                    {
+                        op: 'insert',
+                        key: 'log',
+                        version: 2,
+                        path: [0],
+                        value: 'played a'
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'transaction batches pass through projections',
+        options: {
+            projection: () => ({ deny: [['secret']] })
+        },
+        expectedReplica: (server, client, key) =>
+                ({ open: clone(server.data[key].open) }),
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = { secret: 1, open: [] };
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'foo');
+                
+                transport.clearMessages();
+                
+                server.transaction(() => {
+                    server.data.foo.secret = 2;
+                    server.data.foo.secret = 3;
+                });
+                
+                server.transaction(() => {
+                    server.data.foo.secret = 4;
+                    server.data.foo.open.push('x');
+                });
+            },
+            {
+                client: 'client1',
+                message: {
+                    op: 'batch',
+                    key: 'foo',
+                    version: 3,
+                    from: 1,
+                    messages: [
+                        {
+                            op: 'insert',
+                            path: ['open', 0],
+                            value: 'x'
+                        }
+                    ]
+                }
+            }
+        ]
+    },
+    {
+        name: 'views send what they rebuild from a batch only once',
+        options: {
+            projection: client => client.name === 'client2'
+                    ? { deny: [['arr', 1]] } : undefined
+        },
+        expectedReplica: (server, client, key) => {
+            const value = ineficeFac._deserialize(
+                    ineficeFac._serialize(server.data[key]));
+            
+            if (client === 'client1') {
+                return value.game.list;
+            }
+            
+            value.arr[1] = undefined;
+            return value;
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = {
+                    game: { list: [] },
+                    arr: [{ tags: [] }, { tags: ['y'] }]
+                };
+                
+                const client1 = transport.buildFakeClient('client1');
+                const client2 = transport.buildFakeClient('client2');
+                
+                await server.link(client1, 'foo', ['game', 'list']);
+                await server.link(client2, 'foo');
+                
+                transport.clearMessages();
+                
+                server.transaction(() => {
+                    server.data.foo.game = { list: [1] };
+                    server.data.foo.game.list.push(2);
+                });
+                
+                server.transaction(() => {
+                    server.data.foo.arr.unshift({ tags: [] });
+                    server.data.foo.arr[0].tags.push('x');
+                });
+            },
+            {
+                client: 'client1',
+                message: {
+                    op: 'batch',
+                    key: 'foo',
+                    version: 2,
+                    messages: [
+                        {
+                            op: 'update',
+                            path: [],
+                            value: [1, 2]
+                        }
+                    ]
+                }
+            },
+            {
+                client: 'client2',
+                message: [
+                    {
+                        op: 'batch',
+                        key: 'foo',
+                        version: 2,
+                        messages: [
+                            {
+                                op: 'update',
+                                path: ['game'],
+                                value: { list: [1] }
+                            },
+                            {
+                                op: 'insert',
+                                path: ['game', 'list', 1],
+                                value: 2
+                            }
+                        ]
+                    },
+                    {
+                        op: 'batch',
+                        key: 'foo',
+                        version: 3,
+                        messages: [
+                            {
+                                op: 'update',
+                                path: ['arr'],
+                                value: [
+                                    { tags: ['x'] },
+                                    { '@m': { t: 'undefined' } },
+                                    { tags: ['y'] }
+                                ]
+                            }
+                        ]
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'rate-limited link merges superseded updates',
+        options: {
+            rateLimit: (client, key) =>
+                    client.name === 'client1' ? 20 : undefined
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['pos'] = { x: 0, y: 0, trail: [] };
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'pos');
+                
+                transport.clearMessages();
+                
+                server.data.pos.x = 1;
+                server.data.pos.x = 2;
+                server.data.pos.trail.push(1);
+                server.data.pos.x = 3;
+                server.data.pos.y = 1;
+            },
+            {
+                client: 'client1',
+                message: {
+                    op: 'update',
+                    key: 'pos',
+                    version: 2,
+                    path: ['x'],
+                    value: 1
+                }
+            },
+            async () => {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            },
+            {
+                client: 'client1',
+                message: {
+                    op: 'batch',
+                    key: 'pos',
+                    version: 6,
+                    from: 2,
+                    messages: [
+                        {
+                            op: 'insert',
+                            path: ['trail', 0],
+                            value: 1
+                        },
+                        {
+                            op: 'update',
+                            path: ['x'],
+                            value: 3
+                        },
+                        {
+                            op: 'update',
+                            path: ['y'],
+                            value: 1
+                        }
+                    ]
+                }
+            }
+        ]
+    },
+    {
+        name: 'rate-limited views send what they rebuild only once',
+        options: {
+            rateLimit: () => 10,
+            projection: client => client.name === 'client2'
+                    ? { deny: [['arr', 1]] } : undefined
+        },
+        expectedReplica: (server, client, key) => {
+            const value = ineficeFac._deserialize(
+                    ineficeFac._serialize(server.data[key]));
+            
+            if (client === 'client1') {
+                return value.game.list;
+            }
+            
+            value.arr[1] = undefined;
+            return value;
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = {
+                    score: 0,
+                    game: { list: [] },
+                    arr: [{ tags: [] }, { tags: ['y'] }]
+                };
+                
+                const client1 = transport.buildFakeClient('client1');
+                const client2 = transport.buildFakeClient('client2');
+                
+                await server.link(client1, 'foo', ['game', 'list']);
+                await server.link(client2, 'foo');
+                
+                transport.clearMessages();
+                
+                // Goes out at once, holding back what follows.
+                server.data.foo.score = 1;
+                
+                server.data.foo.game = { list: [1] };
+                server.data.foo.game.list.push(2);
+                server.data.foo.arr.unshift({ tags: [] });
+                server.data.foo.arr[0].tags.push('x');
+                
+            },
+            {
+                client: 'client2',
+                message: {
+                    op: 'update',
+                    key: 'foo',
+                    version: 2,
+                    path: ['score'],
+                    value: 1
+                }
+            },
+            async () => {
+                await new Promise(resolve => setTimeout(resolve, 150));
+            },
+            {
+                client: 'client1',
+                message: {
+                    op: 'batch',
+                    key: 'foo',
+                    version: 6,
+                    from: 1,
+                    messages: [
+                        {
+                            op: 'update',
+                            path: [],
+                            value: [1, 2]
+                        }
+                    ]
+                }
+            },
+            {
+                client: 'client2',
+                message: {
+                    op: 'batch',
+                    key: 'foo',
+                    version: 6,
+                    from: 2,
+                    messages: [
+                        {
+                            op: 'update',
+                            path: ['game'],
+                            value: { list: [1] }
+                        },
+                        {
+                            op: 'insert',
+                            path: ['game', 'list', 1],
+                            value: 2
+                        },
+                        {
+                            op: 'update',
+                            path: ['arr'],
+                            value: [
+                                { tags: ['x'] },
+                                { '@m': { t: 'undefined' } },
+                                { tags: ['y'] }
+                            ]
+                        }
+                    ]
+                }
+            }
+        ]
+    },
+    {
+        name: 'congested client gets a fresh init once drained',
+        options: {
+            maxBacklog: 10
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = { a: 0 };
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'foo');
+                
+                transport.clearMessages();
+                transport.congest('client1');
+                
+                server.data.foo.a = 1;
+                server.data.foo.a = 2;
+                server.data.foo.b = 3;
+            },
+            {
+                client: 'client1',
                 message: {
                     op: 'update',
                     key: 'foo',
-                    path: ['bar'],
-                    value: ['a', 'b', 'c']
+                    version: 2,
+                    path: ['a'],
+                    value: 1
+                }
+            },
+            async (transport, server) => {
+                transport.drain('client1');
+            },
+            {
+                client: 'client1',
+                message: {
+                    op: 'init',
+                    key: 'foo',
+                    version: 4,
+                    value: { a: 2, b: 3 }
+                }
+            }
+        ]
+    },
+    {
+        name: 'client with too many unsettled sends is caught up with init',
+        options: {
+            maxBacklog: 1
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = { a: 0 };
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'foo');
+                
+                transport.clearMessages();
+                transport.holdSends('client1');
+                
+                server.data.foo.a = 1;
+                server.data.foo.a = 2;
+                server.data.foo.a = 3;
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'update',
+                        key: 'foo',
+                        version: 2,
+                        path: ['a'],
+                        value: 1
+                    },
+                    {
+                        op: 'update',
+                        key: 'foo',
+                        version: 3,
+                        path: ['a'],
+                        value: 2
+                    }
+                ]
+            },
+            async (transport, server) => {
+                transport.releaseSends('client1');
+                await new Promise(resolve => setImmediate(resolve));
+            },
+            {
+                client: 'client1',
+                message: {
+                    op: 'init',
+                    key: 'foo',
+                    version: 4,
+                    value: { a: 3 }
+                }
+            }
+        ]
+    },
+    {
+        name: 'clients may link and unlink themselves if allowed',
+        options: {
+            allowClientLinks: true,
+            access: { 'secret': false, 'user:*': true, 'foo': true }
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = { a: 1 };
+                server.data['secret'] = 'shh';
+                server.data['user:1'] = 'a';
+                
+                transport.buildFakeClient('client1');
+                
+                const replica = transport.replica('client1');
+                replica.link('foo', ['a']);
+                replica.link('secret');
+                replica.link('nope');
+                replica.link('user:*');
+                replica.unlink('foo');
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'init',
+                        key: 'foo',
+                        version: 1,
+                        path: ['a'],
+                        value: 1
+                    },
+                    {
+                        op: 'denied',
+                        key: 'secret'
+                    },
+                    {
+                        op: 'denied',
+                        key: 'nope'
+                    },
+                    {
+                        op: 'init',
+                        key: 'user:1',
+                        version: 1,
+                        value: 'a'
+                    },
+                    {
+                        op: 'closed',
+                        key: 'foo'
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'client links are denied by default',
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = 'abc';
+                
+                transport.buildFakeClient('client1');
+                transport.replica('client1').link('foo');
+            },
+            {
+                client: 'client1',
+                message: {
+                    op: 'denied',
+                    key: 'foo'
+                }
+            }
+        ]
+    },
+    {
+        name: 'clients can\'t link to keys every object has',
+        options: {
+            allowClientLinks: true
+        },
+        steps: [
+            async (transport, server) => {
+                transport.buildFakeClient('client1');
+                
+                const replica = transport.replica('client1');
+                replica.link('constructor');
+                replica.link('__proto__');
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'denied',
+                        key: 'constructor'
+                    },
+                    {
+                        op: 'denied',
+                        key: '__proto__'
+                    }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'websocket transport carries messages both ways',
+        steps: [
+            async () => {
+                const httpServer = http.createServer();
+                await new Promise(resolve => {
+                    httpServer.listen(0, '127.0.0.1', resolve);
+                });
+                
+                // Listening first, but leaving other paths alone.
+                const otherTransport = webSocketServerTransport(
+                        httpServer, { path: '/other' });
+                const serverTransport =
+                        webSocketServerTransport(httpServer, { path: '/ws' });
+                const server = ineficeFac({
+                    transport: serverTransport,
+                    allowClientLinks: true
+                });
+                server.data['foo'] = { a: 1 };
+                
+                const { port } = httpServer.address();
+                const clientTransport =
+                        await connectWebSocket(`ws://127.0.0.1:${port}/ws`);
+                const client =
+                        ineficeClientFac({ transport: clientTransport });
+                
+                let onChange;
+                client.on('change', event => { onChange(event); });
+                const changed = () =>
+                        new Promise(resolve => { onChange = resolve; });
+                
+                let done = changed();
+                client.link('foo');
+                await done;
+                
+                // Big enough to need a 64-bit frame length.
+                done = changed();
+                server.data.foo.b = 'x'.repeat(70000);
+                await done;
+                
+                assert.deepEqual(client.get('foo'),
+                        { a: 1, b: server.data.foo.b });
+                
+                const disconnected = new Promise(resolve => {
+                    serverTransport.on('disconnect', resolve);
+                });
+                clientTransport.close();
+                await disconnected;
+                
+                serverTransport.close();
+                otherTransport.close();
+                await new Promise(resolve => { httpServer.close(resolve); });
+            }
+        ]
+    },
+    {
+        name: 'memory transport delivers held messages and disconnects',
+        steps: [
+            async () => {
+                const transport = memoryTransport();
+                const server = ineficeFac({
+                    transport: transport,
+                    authorize: () => true
+                });
+                server.data['foo'] = { a: 1 };
+                
+                const connection = transport.connect();
+                server.link(connection.client, 'foo');
+                
+                const client = ineficeClientFac({ transport: connection });
+                await client.propose('foo', {
+                    type: 'set',
+                    path: ['a'],
+                    value: 2
+                });
+                
+                assert.equal(server.data.foo.a, 2);
+                assert.deepEqual(client.get('foo'), { a: 2 });
+                
+                let disconnected;
+                transport.on('disconnect', client => {
+                    disconnected = client;
+                });
+                connection.close();
+                
+                assert.equal(disconnected, connection.client);
+            }
+        ]
+    },
+    {
+        name: 'message port transport disconnects when the port closes',
+        steps: [
+            async () => {
+                const transport = messagePortServerTransport();
+                const server = ineficeFac({ transport });
+                server.data['foo'] = { a: 1 };
+                
+                const { port1, port2 } = new MessageChannel();
+                const client = ineficeClientFac({
+                    transport: messagePortClientTransport(port2)
+                });
+                const handle = transport.accept(port1);
+                
+                const changed = new Promise(resolve => {
+                    client.on('change', event => {
+                        if (event.op === 'update') {
+                            resolve();
+                        }
+                    });
+                });
+                server.link(handle, 'foo');
+                server.data.foo.a = 2;
+                await changed;
+                
+                assert.deepEqual(client.get('foo'), { a: 2 });
+                
+                const disconnected = new Promise(resolve => {
+                    transport.on('disconnect', resolve);
+                });
+                port2.close();
+                
+                assert.equal(await disconnected, handle);
+            }
+        ]
+    },
+    {
+        name: 'file store restores data from snapshot and log',
+        steps: [
+            async () => {
+                const directory = fs.mkdtempSync(
+                        path.join(os.tmpdir(), 'inefice-test-'));
+                
+                try {
+                    const store1 = fileStore({ directory, snapshotEvery: 4 });
+                    const server1 = ineficeFac({
+                        transport: buildFakeTransport(),
+                        store: store1
+                    });
+                    server1.data['foo'] = { list: [1, 2, 3], gone: true };
+                    server1.data.foo.list.splice(0, 2, 'a');
+                    delete server1.data.foo.gone;
+                    server1.data['bar'] = 'x';
+                    server1.data.foo.list.reverse();
+                    server1.data['baz'] = { u: undefined };
+                    delete server1.data.bar;
+                    store1.close();
+                    
+                    // Older logs are removed once they're covered by a
+                    // snapshot.
+                    const logs = fs.readdirSync(directory)
+                            .filter(file => file.startsWith('log.'));
+                    assert.equal(logs.length, 1);
+                    
+                    const transport = buildFakeTransport();
+                    const client1 = transport.buildFakeClient('client1');
+                    
+                    const store2 = fileStore({ directory });
+                    const server2 = ineficeFac({ transport, store: store2 });
+                    store2.close();
+                    
+                    await server2.link(client1, 'foo');
+                    await server2.link(client1, 'baz');
+                    
+                    assert.deepEqual(Object.keys(server2.data).sort(),
+                            ['baz', 'foo']);
+                    
+                    const messages = transport.takeMessages('client1');
+                    assert.deepEqual(messages.map(m => m.op),
+                            ['init', 'init']);
+                    assert.deepEqual(messages[0].value, { list: [3, 'a'] });
+                    assert.deepEqual(messages[1].value, { u: undefined });
+                    transport.assertReplicasMatch(server2);
+                }
+                finally {
+                    removeDirectory(directory);
+                }
+            }
+        ]
+    },
+    {
+        name: 'built-in and custom types reach the client intact',
+        options: {
+            clientType: (v, builtInClientType) => v instanceof Point
+                    ? 'Point' : builtInClientType(v),
+            typeDefinitions: {
+                Point: {
+                    describe: p => [p.x, p.y],
+                    realize: {
+                        fromArray: ([x, y]) => new Point(x, y)
+                    }
+                }
+            }
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['event'] = { when: new Date(5), count: 10n };
+                server.data['shape'] = {
+                    origin: new Point(1, 2),
+                    tags: new Set(['a'])
+                };
+                
+                const client1 = transport.buildFakeClient('client1');
+                const client = transport.replica('client1');
+                await server.link(client1, 'event');
+                await server.link(client1, 'shape');
+                
+                server.data.event.buffer = new Uint8Array([1, 2]);
+                server.data.shape.end = new Point(3, 4);
+                
+                assert.deepEqual(client.get('event'), {
+                    when: new Date(5),
+                    count: 10n,
+                    buffer: new Uint8Array([1, 2])
+                });
+                assert.ok(server.data.event.buffer instanceof Uint8Array);
+                
+                // Whether they were there from the start or put there
+                // later, our own types stay what they are on both ends.
+                const shape = {
+                    origin: new Point(1, 2),
+                    tags: new Set(['a']),
+                    end: new Point(3, 4)
+                };
+                assert.deepEqual(client.get('shape'), shape);
+                assert.ok(server.data.shape.origin instanceof Point);
+                assert.ok(server.data.shape.end instanceof Point);
+                
+                // Changing one means replacing it.
+                server.data.shape.origin = new Point(5, 6);
+                assert.deepEqual(client.get('shape').origin, new Point(5, 6));
+                
+                // What's put in `data` is a copy, which leaves the original
+                // as it was, and that goes for array methods too.
+                const point = new Point(7, 8);
+                server.data.shape.origin = point;
+                server.data.shape.path = [];
+                server.data.shape.path.push(point);
+                server.data.shape.path.unshift(new Uint8Array([3]));
+                server.data.shape.path.splice(1, 0, new Point(9, 10));
+                assert.strictEqual(point.constructor, Point);
+                assert.deepEqual(Object.keys(point), ['x', 'y']);
+                assert.ok(server.data.shape.path[2] instanceof Point);
+                assert.deepEqual(client.get('shape').path, [
+                    new Uint8Array([3]),
+                    new Point(9, 10),
+                    new Point(7, 8)
+                ]);
+                
+                transport.clearMessages();
+            }
+        ]
+    },
+    {
+        name: 'map and set mutations are sent as dedicated ops',
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = {
+                    scores: new Map([['a', 1]]),
+                    tags: new Set(['x'])
+                };
+                
+                const client1 = transport.buildFakeClient('client1');
+                await server.link(client1, 'foo');
+                
+                server.data.foo.scores.set('b', new Date(2));
+                server.data.foo.scores.delete('a');
+                server.data.foo.tags.add('y');
+                server.data.foo.tags.delete('x');
+                server.data.foo.scores.set({ compound: true }, 3);
+                server.data.foo.tags.clear();
+                
+                const messages = transport.takeMessages('client1');
+                assert.deepEqual(
+                        messages.map(({ op, path }) => ({ op, path })), [
+                    { op: 'init', path: undefined },
+                    { op: 'mapSet', path: ['scores'] },
+                    { op: 'mapDelete', path: ['scores'] },
+                    { op: 'setAdd', path: ['tags'] },
+                    { op: 'setDelete', path: ['tags'] },
+                    { op: 'update', path: ['scores'] },
+                    { op: 'clear', path: ['tags'] }
+                ]);
+                assert.deepEqual(transport.replica('client1').get('foo'), {
+                    scores: new Map([
+                        ['b', new Date(2)],
+                        [{ compound: true }, 3]
+                    ]),
+                    tags: new Set()
+                });
+            }
+        ]
+    },
+    {
+        name: 'collections put in data later are tracked and restorable',
+        steps: [
+            async () => {
+                const directory = fs.mkdtempSync(
+                        path.join(os.tmpdir(), 'inefice-test-'));
+                
+                try {
+                    const transport = buildFakeTransport();
+                    const store1 = fileStore({ directory });
+                    const server1 = ineficeFac({ transport, store: store1 });
+                    server1.data['foo'] = { nested: {} };
+                    
+                    const client1 = transport.buildFakeClient('client1');
+                    await server1.link(client1, 'foo');
+                    
+                    server1.data.foo.nested.ids = new Set([1]);
+                    server1.data.foo.nested.ids.add(2);
+                    server1.data.foo.list = [new Map()];
+                    server1.data.foo.list[0].set('k', 'v');
+                    store1.close();
+                    
+                    const expected = {
+                        nested: { ids: new Set([1, 2]) },
+                        list: [new Map([['k', 'v']])]
+                    };
+                    assert.deepEqual(
+                            transport.replica('client1').get('foo'), expected);
+                    transport.assertReplicasMatch(server1);
+                    
+                    const store2 = fileStore({ directory });
+                    const server2 = ineficeFac({
+                        transport: buildFakeTransport(),
+                        store: store2
+                    });
+                    store2.close();
+                    
+                    assert.deepEqual(ineficeFac._deserialize(
+                            ineficeFac._serialize(server2.data.foo)), expected);
                 }
+                finally {
+                    removeDirectory(directory);
+                }
+            }
+        ]
+    },
+    {
+        name: 'collections in collections or put in arrays stay in sync',
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = {
+                    groups: new Map([['a', new Set([1])]]),
+                    list: []
+                };
+                
+                const client1 = transport.buildFakeClient('client1');
+                await server.link(client1, 'foo');
+                
+                // Paths can't reach inside a collection, so these are sent
+                // as updates of the outer one.
+                server.data.foo.groups.get('a').add(2);
+                server.data.foo.groups.set('b', new Map([['x', 1]]));
+                server.data.foo.groups.get('b').set('y', 2);
+                
+                server.data.foo.list.push(new Set(['p']));
+                server.data.foo.list.unshift(new Map([['q', 1]]));
+                server.data.foo.list.splice(1, 0, new Set());
+                server.data.foo.list[2].add('r');
+                server.data.foo.list[0].set('s', 2);
+                
+                const messages = transport.takeMessages('client1');
+                assert.deepEqual(
+                        messages.map(({ op, path }) => ({ op, path })), [
+                    { op: 'init', path: undefined },
+                    { op: 'update', path: ['groups'] },
+                    { op: 'mapSet', path: ['groups'] },
+                    { op: 'update', path: ['groups'] },
+                    { op: 'insert', path: ['list', 0] },
+                    { op: 'insert', path: ['list', 0] },
+                    { op: 'insert', path: ['list', 1] },
+                    { op: 'setAdd', path: ['list', 2] },
+                    { op: 'mapSet', path: ['list', 0] }
+                ]);
+                
+                const expected = {
+                    groups: new Map([
+                        ['a', new Set([1, 2])],
+                        ['b', new Map([['x', 1], ['y', 2]])]
+                    ]),
+                    list: [
+                        new Map([['q', 1], ['s', 2]]),
+                        new Set(),
+                        new Set(['p', 'r'])
+                    ]
+                };
+                assert.deepEqual(
+                        transport.replica('client1').get('foo'), expected);
+                assert.deepEqual(ineficeFac._deserialize(
+                        ineficeFac._serialize(server.data.foo)), expected);
+            }
+        ]
+    },
+    {
+        name: 'array ops keep client replicas in sync',
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = {
+                    board: Array.from({ length: 100 },
+                            (x, i) => ({ name: `p${i}`, score: 100 - i })),
+                    letters: ['c', 'a', 'd', 'b', 'f', 'e']
+                };
+                
+                const client1 = transport.buildFakeClient('client1');
+                await server.link(client1, 'foo');
+                
+                const byScore = (a, b) => b.score - a.score;
+                server.data.foo.board[70].score = 1000;
+                server.data.foo.board.sort(byScore);
+                server.data.foo.letters.sort();
+                server.data.foo.letters.reverse();
+                server.data.foo.letters.push('x', 'y');
+                server.data.foo.board.splice(1, 2);
+                
+                const messages = transport.takeMessages('client1');
+                assert.deepEqual(messages.map(({ op }) => op), [
+                    'init', 'update', 'move', 'permute', 'reverse', 'splice',
+                    'splice'
+                ]);
+                assert.deepEqual(messages[2].moves, [[70, 0]]);
             }
         ]
     },
     {
-        name: 'array reverse sends update',
+        name: 'array ops respect projections and subtree links',
+        options: {
+            projection: (client, key) => client.name === 'client1'
+                    ? { deny: [['list', '*', 'secret']] }
+                    : client.name === 'client2'
+                            ? { deny: [['list', 0]] }
+                            : undefined
+        },
+        expectedReplica: (server, client, key) => {
+            const list = server.data[key].list.map(({ secret, open }) =>
+                    client === 'client1' ? { open } : { secret, open });
+            
+            if (client === 'client2') {
+                list[0] = undefined;
+            }
+            
+            return client === 'client3' ? list[0] : { list };
+        },
         steps: [
             async (transport, server) => {
-                server.data['foo'] = { bar: ['a', 'b', 'c'] };
+                server.data['foo'] = {
+                    list: [{ secret: 1, open: 2 }, { secret: 3, open: 4 }]
+                };
                 
                 const client1 = transport.buildFakeClient('client1');
                 const client2 = transport.buildFakeClient('client2');
                 const client3 = transport.buildFakeClient('client3');
                 
                 await server.link(client1, 'foo');
-                await server.link(client3, 'foo');
+                await server.link(client2, 'foo');
+                await server.link(client3, 'foo', ['list', 0]);
                 
                 transport.clearMessages();
                 
-                server.data.foo.bar.reverse();
+                server.data.foo.list.splice(2, 0, { secret: 5, open: 6 },
+                        { secret: 7, open: 8 });
+                server.data.foo.list.reverse();
             },
             {
-                client: ['client1', 'client3'],
+                client: 'client1',
+                message: [
+                    {
+                        op: 'splice',
+                        key: 'foo',
+                        version: 2,
+                        path: ['list'],
+                        index: 2,
+                        deleteCount: 0,
+                        value: [{ open: 6 }, { open: 8 }]
+                    },
+                    {
+                        op: 'reverse',
+                        key: 'foo',
+                        version: 3,
+                        path: ['list']
+                    }
+                ]
+            },
+            {
+                client: 'client2',
+                message: [
+                    {
+                        op: 'update',
+                        key: 'foo',
+                        version: 2,
+                        path: ['list'],
+                        value: [
+                            undefined,
+                            { secret: 3, open: 4 },
+                            { secret: 5, open: 6 },
+                            { secret: 7, open: 8 }
+                        ]
+                    },
+                    {
+                        op: 'update',
+                        key: 'foo',
+                        version: 3,
+                        path: ['list'],
+                        value: [
+                            undefined,
+                            { secret: 5, open: 6 },
+                            { secret: 3, open: 4 },
+                            { secret: 1, open: 2 }
+                        ]
+                    }
+                ]
+            },
+            {
+                client: 'client3',
                 message: {
                     op: 'update',
                     key: 'foo',
-                    path: ['bar'],
-                    value: ['c', 'b', 'a']
+                    version: 3,
+                    path: [],
+                    value: { secret: 7, open: 8 },
+                    from: 1
                 }
             }
         ]
     },
     {
-        name: 'array splice sends messages',
+        name: 'derived keys follow their dependencies',
         steps: [
             async (transport, server) => {
-                server.data['foo'] = { bar: ['a', 'b', 'c', 'd', 'e'] };
+                server.data['tickets'] = [
+                    { id: 1, open: true },
+                    { id: 2, open: true },
+                    { id: 3, open: false }
+                ];
+                
+                server.derive('open', ['tickets'],
+                        tickets => tickets.filter(t => t.open));
+                server.derive('summary', ['open', 'tickets'],
+                        (open, tickets) => ({
+                            open: open.length,
+                            total: tickets.length
+                        }));
                 
                 const client1 = transport.buildFakeClient('client1');
-                const client2 = transport.buildFakeClient('client2');
-                const client3 = transport.buildFakeClient('client3');
                 
-                await server.link(client1, 'foo');
-                await server.link(client3, 'foo');
+                await server.link(client1, 'open');
+                await server.link(client1, 'summary');
                 
                 transport.clearMessages();
                 
-                server.data.foo.bar.splice(1, 2, 'x', 'y', 'z');
+                server.data.tickets[0].open = false;
+                server.data.tickets.push({ id: 4, open: false });
             },
             {
-                client: ['client1', 'client3'],
-                
-                // TODO: instrument test framework so we can accurately express
-                //       that the order here doesn't matter and make this test
-                //       less change-detector-y.
+                client: 'client1',
                 message: [
+                    {
+                        op: 'delete',
+                        key: 'open',
+                        version: 2,
+                        path: [0]
+                    },
                     {
                         op: 'update',
-                        key: 'foo',
-                        path: ['bar', 1],
-                        value: 'x'
+                        key: 'summary',
+                        version: 2,
+                        path: ['open'],
+                        value: 1
                     },
                     {
                         op: 'update',
+                        key: 'summary',
+                        version: 3,
+                        path: ['total'],
+                        value: 4
+                    }
+                ]
+            },
+            async (transport, server) => {
+                assert.throws(() => server.derive('open', [], () => 1),
+                        /Already derived/);
+                assert.throws(() => server.derive('tickets', ['summary'],
+                        summary => []), /depend on itself/);
+                
+                server.derive('gone', ['tickets'], () => undefined);
+                assert.equal(typeof server.data.gone, 'undefined');
+            }
+        ]
+    },
+    {
+        name: 'replacements are diffed if asked',
+        options: {
+            diffReplacements: true
+        },
+        steps: [
+            async (transport, server) => {
+                const notes = 'Lorem ipsum dolor sit amet. '.repeat(10);
+                server.data['foo'] = {
+                    notes: notes,
+                    list: [1, 2, 3],
+                    stale: true
+                };
+                
+                const client1 = transport.buildFakeClient('client1');
+                
+                await server.link(client1, 'foo');
+                
+                transport.clearMessages();
+                
+                server.data.foo = {
+                    notes: notes,
+                    list: [1, 2, 3, 4],
+                    fresh: true
+                };
+                server.data.foo = Object.assign({}, server.data.foo);
+                server.data.foo.list = ['a'];
+            },
+            {
+                client: 'client1',
+                message: [
+                    {
+                        op: 'batch',
                         key: 'foo',
-                        path: ['bar', 2],
-                        value: 'y'
+                        version: 2,
+                        messages: [
+                            {
+                                op: 'delete',
+                                path: ['stale']
+                            },
+                            {
+                                op: 'splice',
+                                path: ['list'],
+                                index: 3,
+                                deleteCount: 0,
+                                value: [4]
+                            },
+                            {
+                                op: 'insert',
+                                path: ['fresh'],
+                                value: true
+                            }
+                        ]
                     },
                     {
-                        op: 'insert',
+                        op: 'update',
                         key: 'foo',
-                        path: ['bar', 3],
-                        value: 'z'
+                        version: 3,
+                        path: ['list'],
+                        value: ['a']
                     }
                 ]
             }
         ]
     },
     {
-        name: 'remove root sends finalize and future changes not sent',
+        name: 'servers sharing a backplane serve each other\'s keys',
+        steps: [
+            async () => {
+                const backplane = memoryBackplane();
+                
+                const transportA = buildFakeTransport();
+                const serverA = ineficeFac({
+                    transport: transportA,
+                    backplane: backplane
+                });
+                serverA.data['foo'] = { list: [1, 2] };
+                
+                // Joins late, so must be told about foo.
+                const transportB = buildFakeTransport();
+                const serverB = ineficeFac({
+                    transport: transportB,
+                    backplane: backplane
+                });
+                serverB.data['bar'] = 'b';
+                
+                const handleB = transportB.buildFakeClient('clientB');
+                await serverB.link(handleB, 'foo');
+                await serverB.link(handleB, 'baz*');
+                
+                const handleA = transportA.buildFakeClient('clientA');
+                await serverA.link(handleA, 'bar');
+                
+                const clientA = transportA.replica('clientA');
+                const clientB = transportB.replica('clientB');
+                
+                serverA.transaction(() => {
+                    serverA.data.foo.list.push(3);
+                    serverA.data.foo.done = true;
+                });
+                serverA.data['baz1'] = { n: 1 };
+                serverB.data.bar = 'c';
+                
+                assert.deepEqual(clientB.get('foo'), {
+                    list: [1, 2, 3],
+                    done: true
+                });
+                assert.deepEqual(clientB.get('baz1'), { n: 1 });
+                assert.equal(clientA.get('bar'), 'c');
+                
+                await assert.rejects(clientB.propose('foo', {
+                    type: 'set',
+                    path: ['done'],
+                    value: false
+                }), e => e.reason === 'remote');
+                
+                // Replicas of remote keys match the server that owns them.
+                const owned = (server, client, key) => {
+                    const owner = key in serverA.data ? serverA : serverB;
+                    return ineficeFac._deserialize(
+                            ineficeFac._serialize(owner.data[key]));
+                };
+                transportA.assertReplicasMatch(serverA, owned);
+                transportB.assertReplicasMatch(serverB, owned);
+                
+                delete serverA.data.foo;
+                
+                assert.equal(clientB.has('foo'), false);
+                assert.deepEqual(
+                        transportB.takeMessages('clientB').map(m => m.op),
+                        ['init', 'batch', 'init', 'reject', 'finalize']);
+            }
+        ]
+    },
+    {
+        name: 'query links send only changes to their window',
+        options: {
+            allowClientLinks: true
+        },
+        expectedReplica: server => server.data.foo.players
+                .filter(p => p.team === 'red')
+                .sort((a, b) => b.score - a.score)
+                .slice(0, 3),
         steps: [
             async (transport, server) => {
-                server.data['foo'] = {};
+                server.data['foo'] = {
+                    players: [
+                        { name: 'a', team: 'red', score: 5 },
+                        { name: 'b', team: 'blue', score: 9 },
+                        { name: 'c', team: 'red', score: 7 },
+                        { name: 'd', team: 'red', score: 1 },
+                        { name: 'e', team: 'red', score: 3 }
+                    ]
+                };
                 
-                const client1 = transport.buildFakeClient('client1');
-                const client2 = transport.buildFakeClient('client2');
-                const client3 = transport.buildFakeClient('client3');
+                transport.buildFakeClient('client1');
+                const client = transport.replica('client1');
+                client.link('foo', ['players'], {
+                    where: { team: 'red' },
+                    sort: [['score', 'desc']],
+                    limit: 3
+                });
                 
-                await server.link(client1, 'foo');
-                await server.link(client3, 'foo');
+                assert.deepEqual(client.get('foo').map(p => p.name),
+                        ['c', 'a', 'e']);
                 
                 transport.clearMessages();
                 
-                delete server.data['foo'];
-                server.data.foo = {};
+                const players = server.data.foo.players;
+                players[4].score = 6;
+                players.push({ name: 'f', team: 'red', score: 10 });
+                
+                // None of these change the window.
+                players[1].score = 20;
+                players[0].name = 'A';
+                players.sort((x, y) => x.score - y.score);
+                
+                players[2].score = 8;
             },
             {
-                client: ['client1', 'client3'],
+                client: 'client1',
+                message: [
+                    {
+                        op: 'batch',
+                        key: 'foo',
+                        version: 2,
+                        messages: [
+                            { op: 'move', path: [], moves: [[2, 1]] },
+                            {
+                                op: 'update',
+                                path: [1],
+                                value: { name: 'e', team: 'red', score: 6 }
+                            }
+                        ]
+                    },
+                    {
+                        op: 'batch',
+                        key: 'foo',
+                        version: 3,
+                        messages: [
+                            { op: 'delete', path: [2] },
+                            {
+                                op: 'insert',
+                                path: [0],
+                                value: { name: 'f', team: 'red', score: 10 }
+                            }
+                        ]
+                    },
+                    {
+                        op: 'batch',
+                        key: 'foo',
+                        version: 7,
+                        from: 3,
+                        messages: [
+                            { op: 'move', path: [], moves: [[2, 1]] },
+                            {
+                                op: 'update',
+                                path: [1],
+                                value: { name: 'e', team: 'red', score: 8 }
+                            }
+                        ]
+                    }
+                ]
+            },
+            async (transport, server) => {
+                const client = transport.replica('client1');
+                assert.deepEqual(client.get('foo').map(p => p.name),
+                        ['f', 'e', 'c']);
+                assert.deepEqual(client.get('foo')[1].score, 8);
+                
+                client.link('foo', [], { limit: -1 });
+                
+                assert.throws(() => server.link(transport.client('client1'),
+                        'foo', [], { sort: 'score' }));
+            },
+            {
+                client: 'client1',
                 message: {
-                    op: 'finalize',
+                    op: 'denied',
                     key: 'foo'
                 }
             }
         ]
     },
+    {
+        name: 'undo, redo and revertTo go through the usual messages',
+        options: {
+            undoLimit: 3
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['foo'] = { list: [3, 1, 2], title: 'a' };
+                server.data.foo.tags = new Set(['x']);
+                
+                const client1 = transport.buildFakeClient('client1');
+                const client = transport.replica('client1');
+                await server.link(client1, 'foo');
+                
+                const replica = () => Object.assign({}, client.get('foo'),
+                        { tags: [...client.get('foo').tags] });
+                
+                server.data.foo.list.sort();
+                server.transaction(() => {
+                    server.data.foo.title = 'b';
+                    server.data.foo.list.push(4);
+                    server.data.foo.tags.clear();
+                });
+                server.data.foo.list.reverse();
+                
+                assert.equal(server.undo('foo'), true);
+                assert.equal(server.undo('foo'), true);
+                assert.deepEqual(replica(),
+                        { list: [1, 2, 3], title: 'a', tags: ['x'] });
+                
+                assert.equal(server.redo('foo'), true);
+                assert.deepEqual(replica(),
+                        { list: [1, 2, 3, 4], title: 'b', tags: [] });
+                
+                // Only the last three steps are remembered, and the sort was
+                // the oldest of those.
+                assert.throws(() => server.revertTo('foo', 1));
+                server.revertTo('foo', 2);
+                assert.deepEqual(replica(),
+                        { list: [3, 1, 2], title: 'a', tags: ['x'] });
+                assert.equal(server.undo('foo'), false);
+                
+                server.data.foo.title = 'c';
+                assert.equal(server.redo('foo'), false);
+                
+                const messages = transport.takeMessages('client1');
+                assert.deepEqual(messages.map(({ op }) => op), [
+                    'init', 'move', 'batch', 'reverse', 'reverse', 'batch',
+                    'batch', 'batch', 'move', 'update'
+                ]);
+                
+                // Deleting what isn't there isn't a step, and splicing past
+                // the end of an array only undoes what was really there.
+                server.data.foo.list.splice(1, 5);
+                delete server.data.foo.missing;
+                server.data.foo.list.pop();
+                server.data.foo.list.pop();
+                assert.equal(server.undo('foo'), true);
+                assert.equal(server.undo('foo'), true);
+                assert.deepEqual(replica(),
+                        { list: [3, 1, 2], title: 'c', tags: ['x'] });
+                transport.clearMessages();
+                
+                // Deleting a root key forgets its steps, and should it come
+                // back, its versions carry on from where they left off.
+                delete server.data.foo;
+                assert.equal(server.undo('foo'), false);
+                server.data['foo'] = 'd';
+                await server.link(client1, 'foo');
+                const [finalize, init] = transport.takeMessages('client1');
+                assert.equal(finalize.op, 'finalize');
+                assert.equal(init.version, finalize.version + 1);
+                
+                const noHistory =
+                        ineficeFac({ transport: buildFakeTransport() });
+                noHistory.data['foo'] = 'a';
+                assert.throws(() => noHistory.undo('foo'));
+            }
+        ]
+    },
+    {
+        name: 'recordings replay to what clients were sent',
+        steps: [
+            async () => {
+                const directory = fs.mkdtempSync(
+                        path.join(os.tmpdir(), 'inefice-test-'));
+                const file = path.join(directory, 'recording.jsonl');
+                
+                try {
+                    const recorder = fileRecorder({ file, snapshotEvery: 3 });
+                    const transport = buildFakeTransport();
+                    const server = ineficeFac({
+                        transport,
+                        recorder,
+                        authorize: () => true
+                    });
+                    server.data['foo'] = { list: [1, 2], when: new Date(5) };
+                    
+                    const whole = transport.buildFakeClient('whole');
+                    const subtree = transport.buildFakeClient('subtree');
+                    await server.link(whole, 'foo');
+                    await server.link(subtree, 'foo', ['list']);
+                    
+                    server.data.foo.list.push(3);
+                    server.data.foo.list.push(4);
+                    server.transaction(() => {
+                        server.data.foo.list.push(5);
+                        server.data.foo.done = true;
+                    });
+                    server.data.foo.list.reverse();
+                    
+                    // Replies to what clients ask of us are recorded too.
+                    const client = transport.replica('whole');
+                    await client.propose('foo',
+                            { type: 'set', path: ['done'], value: false });
+                    client.link('nope');
+                    recorder.close();
+                    
+                    const entries = readRecording(file);
+                    assert.deepEqual(entries.map(entry => entry.type), [
+                        'snapshot', 'message', 'message', 'message',
+                        'message', 'snapshot', 'message', 'message',
+                        'message', 'message', 'snapshot', 'message',
+                        'message', 'message', 'snapshot', 'message',
+                        'message'
+                    ]);
+                    assert.deepEqual(entries[1].client, transport.id(whole));
+                    assert.deepEqual(
+                            entries.slice(-2).map(entry => entry.message.op),
+                            ['ack', 'denied']);
+                    
+                    // Each snapshot waits for every client to be sent the
+                    // change that made it due, even in a transaction.
+                    assert.deepEqual(ineficeFac._deserialize(entries[5].data),
+                            { foo: { list: [1, 2, 3], when: new Date(5) } });
+                    assert.deepEqual(ineficeFac._deserialize(entries[10].data),
+                            {
+                                foo: {
+                                    list: [1, 2, 3, 4, 5],
+                                    when: new Date(5),
+                                    done: true
+                                }
+                            });
+                    
+                    const replayed = replay(entries, 'whole', { until: 4 });
+                    assert.deepEqual(replayed.get('foo'),
+                            { list: [1, 2, 3], when: new Date(5) });
+                    
+                    assert.deepEqual(compareToSnapshot(entries, 'whole'), []);
+                    assert.deepEqual(
+                            compareToSnapshot(entries, 'whole', { at: 10 }),
+                            []);
+                    assert.deepEqual(compareToSnapshot(entries, 'subtree')
+                            .map(mismatch => mismatch.key), ['foo']);
+                    
+                    transport.assertReplicasMatch(server,
+                            (server, client, key) => ineficeFac._deserialize(
+                                    ineficeFac._serialize(client === 'whole'
+                                            ? server.data.foo
+                                            : server.data.foo.list)));
+                }
+                finally {
+                    removeDirectory(directory);
+                }
+            }
+        ]
+    },
+    {
+        name: 'concurrent edits of collaborative fields converge',
+        options: {
+            authorize: () => true,
+            collaborative: (key, path) => path[0] !== 'title'
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['doc'] = {
+                    body: 'hello world',
+                    items: ['a', 'b', 'c'],
+                    title: 'x'
+                };
+                
+                const clients = [];
+                await forEachAsync(['client1', 'client2'], async name => {
+                    await server.link(transport.buildFakeClient(name), 'doc');
+                    clients.push(transport.replica(name));
+                });
+                transport.clearMessages();
+                
+                // Each made against the version both started from.
+                await Promise.all([
+                    clients[0].edit('doc', ['body'], 0, 5, 'HELLO'),
+                    clients[1].edit('doc', ['body'], 6, 0, 'big '),
+                    clients[1].edit('doc', ['items'], 1, 1, ['B', 'B2']),
+                    clients[0].edit('doc', ['items'], 2, 0, ['x'])
+                ]);
+                
+                const expected = {
+                    body: 'HELLO big world',
+                    items: ['a', 'B', 'B2', 'x', 'c'],
+                    title: 'x'
+                };
+                assert.deepEqual(clients[0].get('doc'), expected);
+                assert.deepEqual(clients[1].get('doc'), expected);
+                assert.deepEqual(transport.takeMessages('client1')[0], {
+                    op: 'textSplice',
+                    key: 'doc',
+                    version: 2,
+                    path: ['body'],
+                    index: 0,
+                    deleteCount: 5,
+                    value: 'HELLO'
+                });
+                
+                await Promise.all([
+                    clients[0].edit('doc', ['items'], 0, 2, []),
+                    clients[1].edit('doc', ['items'], 4, 1, ['X'])
+                ]);
+                assert.deepEqual(clients[1].get('doc').items, ['B2', 'x', 'X']);
+                
+                const stale = clients[0].edit('doc', ['items'], 0, 0, ['!']);
+                server.data.doc.items = ['replaced'];
+                await assert.rejects(stale, e => e.reason === 'conflict');
+                
+                await assert.rejects(
+                        clients[0].edit('doc', ['title'], 0, 0, '!'),
+                        e => e.reason === 'invalid');
+                
+                transport.clearMessages();
+            }
+        ]
+    },
+    {
+        name: 'presence fans out to everyone linked to a key',
+        options: {
+            maxPresenceSize: 20
+        },
+        steps: [
+            async (transport, server) => {
+                server.data['doc'] = { body: 'hello' };
+                
+                const client1 = transport.buildFakeClient('client1');
+                const client2 = transport.buildFakeClient('client2');
+                const client3 = transport.buildFakeClient('client3');
+                const events = [];
+                transport.replica('client1').on('presence',
+                        event => { events.push(event); });
+                
+                await server.link(client1, 'doc');
+                await server.link(client2, 'doc');
+                transport.replica('client2').setPresence('doc', { cursor: 3 });
+                transport.replica('client2')
+                        .setPresence('doc', 'far too big to pass along');
+                
+                await server.link(client3, 'doc');
+                assert.deepEqual(transport.replica('client3').peers('doc'),
+                        new Map([
+                            ['client1', undefined],
+                            ['client2', { cursor: 3 }]
+                        ]));
+                
+                server.unlink(client2, 'doc');
+                transport.disconnect('client3');
+                assert.deepEqual(events, [
+                    { op: 'peers', key: 'doc', peers: new Map() },
+                    { op: 'join', key: 'doc', client: 'client2' },
+                    {
+                        op: 'presence',
+                        key: 'doc',
+                        client: 'client2',
+                        state: { cursor: 3 }
+                    },
+                    { op: 'join', key: 'doc', client: 'client3' },
+                    { op: 'leave', key: 'doc', client: 'client2' },
+                    { op: 'leave', key: 'doc', client: 'client3' }
+                ]);
+                assert.deepEqual(
+                        transport.replica('client1').peers('doc'), new Map());
+                
+                delete server.data['doc'];
+                assert.equal(transport.replica('client1').peers('doc').size, 0);
+                
+                transport.clearMessages();
+            }
+        ]
+    },
     {
         name: 'link non-existent root is an error',
         steps: [
@@ -330,7 +3113,7 @@ const tests = [
                 };
                 server.data['topLevel'] = () => {};
                 const client1 = transport.buildFakeClient('client1');
-
+                
                 await server.link(client1, 'foo');
                 await server.link(client1, 'topLevel');
             },
@@ -340,6 +3123,7 @@ const tests = [
                     {
                         op: 'init',
                         key: 'foo',
+                        version: 1,
                         value: {
                             arrayElement: ['abc', undefined, 'def'],
                             objectField: undefined
@@ -348,6 +3132,7 @@ const tests = [
                     {
                         op: 'init',
                         key: 'topLevel',
+                        version: 1,
                         value: undefined
                     }
                 ]
@@ -364,7 +3149,7 @@ const tests = [
                 };
                 server.data['topLevel'] = 'mno';
                 const client1 = transport.buildFakeClient('client1');
-
+                
                 await server.link(client1, 'foo');
                 await server.link(client1, 'topLevel');
                 
@@ -380,18 +3165,21 @@ const tests = [
                     {
                         op: 'update',
                         key: 'foo',
+                        version: 2,
                         path: ['arrayElement', 1],
                         value: undefined
                     },
                     {
                         op: 'update',
                         key: 'foo',
+                        version: 3,
                         path: ['objectField'],
                         value: undefined
                     },
                     {
                         op: 'update',
                         key: 'topLevel',
+                        version: 2,
                         path: [],
                         value: undefined
                     }
@@ -403,8 +3191,9 @@ const tests = [
 
 async function test() {
     await forEachAsync(tests, async test => {
-        const transport = buildFakeTransport();
-        const server = ineficeFac({ transport });
+        const transport = buildFakeTransport(test.options);
+        const server =
+                ineficeFac(Object.assign({ transport }, test.options));
     
         try {
             await forEachAsync(test.steps, async step => {
@@ -431,6 +3220,7 @@ async function test() {
             });
             
             transport.assertNoFurtherMessages();
+            transport.assertReplicasMatch(server, test.expectedReplica);
         }
         catch (e) {
             if (e.assertionError) {
@@ -469,22 +3259,34 @@ async function test() {
                 process.exit(1);
             }
             else {
-                throw e;
+                // Failures of Node's own asserts, and anything else thrown,
+                // fail the run too.
+                console.log(`Test failed - "${test.name}":`);
+                console.log(e);
+                process.exit(1);
             }
         }
     });
 }
 
-test().catch(e => { console.log(e); });
+test().catch(e => {
+    console.log(e);
+    process.exit(1);
+});
 
 // ######################
 // ## Helper Functions ##
 // ######################
 
-function buildFakeTransport() {
+// Clients are built with the custom types in `options`, if any, which should
+// be the same options the server is built with.
+function buildFakeTransport({ clientType, typeDefinitions } = {}) {
+    const serialization = buildSerialization({ clientType, typeDefinitions });
     const clients = {};
     const listeners = {
-        disconnect: []
+        disconnect: [],
+        drain: [],
+        message: []
     };
 
     return {
@@ -493,11 +3295,45 @@ function buildFakeTransport() {
                 throw new Error();
             }
         
-            clients[name] = {
-                messages: []
+            const messageHandlers = [];
+            const fakeClient = {
+                handle: { name },
+                messages: [],
+                messageHandlers: messageHandlers,
+                dropCount: 0,
+                congested: false,
+                heldSends: undefined,
+                replica: ineficeClientFac({
+                    clientType: clientType,
+                    typeDefinitions: typeDefinitions,
+                    transport: {
+                        on(eventName, handler) {
+                            if (eventName !== 'message') {
+                                throw new Error();
+                            }
+                            
+                            messageHandlers.push(handler);
+                        },
+                        send(message) {
+                            listeners.message.forEach(handler => {
+                                handler(fakeClient.handle, clone(message));
+                            });
+                        }
+                    }
+                })
             };
+            clients[name] = fakeClient;
             
-            return { name };
+            return fakeClient.handle;
+        },
+        disconnect(client) {
+            const oldHandle = clients[client].handle;
+            clients[client].handle = undefined;
+            listeners.disconnect.forEach(handler => { handler(oldHandle); });
+        },
+        reconnect(client) {
+            clients[client].handle = { name: client };
+            return clients[client].handle;
         },
         assertMessage(client, expectedMessage) {
             if (typeof client === 'string') {
@@ -541,19 +3377,103 @@ function buildFakeTransport() {
                 }
             });
         },
+        assertReplicasMatch(server, expectedReplica) {
+            Object.keys(clients).forEach(client => {
+                // Disconnected clients hear nothing more, so may fall behind.
+                if (typeof clients[client].handle === 'undefined') {
+                    return;
+                }
+                
+                const replica = clients[client].replica;
+                
+                replica.keys().forEach(key => {
+                    const expected = expectedReplica
+                            ? expectedReplica(server, client, key)
+                            : serialization.deserialize(
+                                    serialization.serialize(server.data[key]));
+                    
+                    if (!deepEqual(replica.get(key), expected)) {
+                        const e = new Error(`Replica of "${key}" at client ` +
+                                `${client} does not match server.`);
+                        e.expected = expected;
+                        e.actual = replica.get(key);
+                        e.assertionError = true;
+                        
+                        throw e;
+                    }
+                });
+            });
+        },
+        dropNextMessages(client, count) {
+            clients[client].dropCount = count;
+        },
+        congest(client) {
+            clients[client].congested = true;
+        },
+        drain(client) {
+            clients[client].congested = false;
+            listeners.drain.forEach(
+                    handler => { handler(clients[client].handle); });
+        },
+        holdSends(client) {
+            clients[client].heldSends = [];
+        },
+        releaseSends(client) {
+            clients[client].heldSends.forEach(resolve => { resolve(); });
+            clients[client].heldSends = undefined;
+        },
+        client(client) {
+            return clients[client].handle;
+        },
+        replica(client) {
+            return clients[client].replica;
+        },
         clearMessages() {
             Object.keys(clients).forEach(client => {
                 clients[client].messages = [];
             });
         },
+        takeMessages(client) {
+            const messages = clients[client].messages;
+            clients[client].messages = [];
+            
+            return messages;
+        },
+        receive(client, message) {
+            listeners.message.forEach(handler => {
+                handler(clients[client].handle, clone(message));
+            });
+        },
         
         send(client, message) {
+            if (clients[client.name].handle !== client) {
+                throw new Error(`Sent to disconnected client ${client.name}.`);
+            }
+            
+            if (clients[client.name].dropCount > 0) {
+                clients[client.name].dropCount--;
+                return;
+            }
+        
+            const rawMessage = clone(message);
+        
             message = clone(message);
             if (message.value) {
-                message.value = ineficeFac._deserialize(message.value);
+                message.value = serialization.deserialize(message.value);
             }
         
             clients[client.name].messages.push(clone(message));
+            
+            clients[client.name].messageHandlers.forEach(
+                    handler => { handler(clone(rawMessage)); });
+            
+            if (clients[client.name].heldSends) {
+                return new Promise(resolve => {
+                    clients[client.name].heldSends.push(resolve);
+                });
+            }
+            
+            return !clients[client.name].congested;
         },
         on(eventName, handler) {
             if (typeof listeners[eventName] === 'undefined') {
@@ -568,6 +3488,21 @@ function buildFakeTransport() {
     };
 }
 
+// A type of our own, for tests of custom types.
+function Point(x, y) {
+    this.x = x;
+    this.y = y;
+}
+
+// Test directories hold only files.  `fs.rmSync()` would do, but isn't in
+// older versions of Node.
+function removeDirectory(directory) {
+    fs.readdirSync(directory).forEach(file => {
+        fs.unlinkSync(path.join(directory, file));
+    });
+    fs.rmdirSync(directory);
+}
+
 async function forEachAsync(a, f) {
     for (let i = 0; i < a.length; i++) {
         await f(a[i], i, a);
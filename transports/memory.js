@@ -0,0 +1,82 @@
+const { listenerTable } = require('../lib/listeners');
+
+module.exports = {
+    /**
+     * Builds a server transport whose clients live in the same process,
+     * mostly for tests.  `connect()` returns a client transport suitable for
+     * the client factory, whose `client` field is the handle the server knows
+     * it by and whose `close()` disconnects it.  Messages are delivered
+     * synchronously, round-tripped through JSON just as though they'd been
+     * put on a wire.  Messages sent to a client before anything is listening
+     * for them are held until something is.
+     */
+    memoryTransport() {
+        const connections = new Map();
+        const server = listenerTable(['disconnect', 'drain', 'message']);
+        let nextId = 1;
+        
+        return {
+            send(client, message) {
+                const connection = connections.get(client);
+                if (typeof connection !== 'undefined') {
+                    connection.deliver(wireCopy(message));
+                }
+            },
+            
+            on: server.on,
+            
+            id(client) {
+                return client.id;
+            },
+            
+            connect() {
+                const client = { id: `${nextId++}` };
+                const { on, emit, has } = listenerTable(['close', 'message']);
+                let held = [];
+                
+                connections.set(client, {
+                    deliver(message) {
+                        if (has('message')) {
+                            emit('message', message);
+                        }
+                        else {
+                            held.push(message);
+                        }
+                    }
+                });
+                
+                return {
+                    client: client,
+                    
+                    send(message) {
+                        if (connections.has(client)) {
+                            server.emit('message', client, wireCopy(message));
+                        }
+                    },
+                    
+                    on(eventName, handler) {
+                        on(eventName, handler);
+                        
+                        if (eventName === 'message' && held.length > 0) {
+                            const messages = held;
+                            held = [];
+                            messages.forEach(
+                                    message => { emit('message', message); });
+                        }
+                    },
+                    
+                    close() {
+                        if (connections.delete(client)) {
+                            server.emit('disconnect', client);
+                            emit('close');
+                        }
+                    }
+                };
+            }
+        };
+    }
+};
+
+function wireCopy(message) {
+    return JSON.parse(JSON.stringify(message));
+}
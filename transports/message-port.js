@@ -0,0 +1,74 @@
+const { listenerTable } = require('../lib/listeners');
+
+module.exports = {
+    /**
+     * Builds a server transport whose clients are reached through
+     * `MessagePort`s, such as those of a `MessageChannel` with one end handed
+     * to a `worker_threads` worker.  Pass each port to `accept()`, which
+     * returns the client handle the server will know it by.  The client is
+     * disconnected when the port closes, which happens when either end calls
+     * `close()` or the thread holding the other end exits.
+     */
+    messagePortServerTransport() {
+        const ports = new Map();
+        const { on, emit } = listenerTable(['disconnect', 'drain', 'message']);
+        let nextId = 1;
+        
+        return {
+            send(client, message) {
+                const port = ports.get(client);
+                if (typeof port !== 'undefined') {
+                    port.postMessage(message);
+                }
+            },
+            
+            on: on,
+            
+            id(client) {
+                return client.id;
+            },
+            
+            accept(port) {
+                const client = { id: `${nextId++}` };
+                ports.set(client, port);
+                
+                port.on('message', message => {
+                    if (message !== null && typeof message === 'object') {
+                        emit('message', client, message);
+                    }
+                });
+                port.on('close', () => {
+                    if (ports.delete(client)) {
+                        emit('disconnect', client);
+                    }
+                });
+                
+                return client;
+            }
+        };
+    },
+    
+    /**
+     * Builds a client transport, suitable for the client factory, over the
+     * other end of a port passed to a server transport's `accept()`.
+     * Besides `message`, the transport emits `close` when the port closes.
+     */
+    messagePortClientTransport(port) {
+        const { on, emit } = listenerTable(['close', 'message']);
+        
+        port.on('message', message => { emit('message', message); });
+        port.on('close', () => { emit('close'); });
+        
+        return {
+            send(message) {
+                port.postMessage(message);
+            },
+            
+            on: on,
+            
+            close() {
+                port.close();
+            }
+        };
+    }
+};
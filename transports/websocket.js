@@ -0,0 +1,110 @@
+const { acceptUpgrade, connect } = require('../lib/websocket');
+const { listenerTable } = require('../lib/listeners');
+
+module.exports = {
+    /**
+     * Builds a server transport that accepts WebSocket connections on http
+     * server `httpServer`, optionally only those whose request path is
+     * `path`, leaving the rest to other `upgrade` listeners so that several
+     * transports can share a server.  Each connection becomes a client
+     * handle, messages travel as JSON, and the handle is disconnected when
+     * the connection closes.  `send()` returns `false` when a connection's
+     * buffer is full and the transport emits `drain` once it empties, which
+     * is what the server's `maxBacklog` option looks for.  `close()` stops
+     * accepting connections and closes those that are open.
+     */
+    webSocketServerTransport(httpServer, { path, maxMessageSize } = {}) {
+        const connections = new Map();
+        const { on, emit } = listenerTable(['disconnect', 'drain', 'message']);
+        let nextId = 1;
+        
+        function onUpgrade(request, socket, head) {
+            if (typeof path !== 'undefined' &&
+                    request.url.split('?')[0] !== path) {
+                return;
+            }
+            
+            const connection =
+                    acceptUpgrade(request, socket, head, { maxMessageSize });
+            if (typeof connection === 'undefined') {
+                return;
+            }
+            
+            const client = { id: `${nextId++}` };
+            connections.set(client, connection);
+            
+            connection.on('message', text => {
+                let message;
+                try {
+                    message = JSON.parse(text);
+                }
+                catch (e) {
+                    // Clients are not trusted, so garbage is dropped.
+                    return;
+                }
+                
+                if (message !== null && typeof message === 'object') {
+                    emit('message', client, message);
+                }
+            });
+            connection.on('drain', () => { emit('drain', client); });
+            connection.on('close', () => {
+                connections.delete(client);
+                emit('disconnect', client);
+            });
+        }
+        
+        httpServer.on('upgrade', onUpgrade);
+        
+        return {
+            send(client, message) {
+                const connection = connections.get(client);
+                if (typeof connection === 'undefined') {
+                    // Already gone.  The server will hear about it shortly.
+                    return undefined;
+                }
+                
+                return connection.send(JSON.stringify(message));
+            },
+            
+            on: on,
+            
+            id(client) {
+                return client.id;
+            },
+            
+            close() {
+                httpServer.removeListener('upgrade', onUpgrade);
+                connections.forEach(connection => { connection.close(); });
+            }
+        };
+    },
+    
+    /**
+     * Connects to a server transport built by `webSocketServerTransport()`
+     * at `url`, resolving to a transport suitable for the client factory.
+     * Besides `message`, the transport emits `close` when the connection
+     * goes away.
+     */
+    async connectWebSocket(url, { maxMessageSize } = {}) {
+        const connection = await connect(url, { maxMessageSize });
+        const { on, emit } = listenerTable(['close', 'message']);
+        
+        connection.on('message', text => {
+            emit('message', JSON.parse(text));
+        });
+        connection.on('close', () => { emit('close'); });
+        
+        return {
+            send(message) {
+                connection.send(JSON.stringify(message));
+            },
+            
+            on: on,
+            
+            close() {
+                connection.close();
+            }
+        };
+    }
+};